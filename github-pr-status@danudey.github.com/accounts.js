@@ -0,0 +1,94 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import Secret from 'gi://Secret';
+
+const APPLICATION = 'github-pr-status';
+
+// Tokens saved before multi-account support belong to this account
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+const SECRET_SCHEMA = new Secret.Schema(
+    'org.gnome.shell.extensions.github-pr-status',
+    Secret.SchemaFlags.NONE,
+    {
+        application: Secret.SchemaAttributeType.STRING,
+        account: Secret.SchemaAttributeType.STRING,
+    },
+);
+
+// Promisify libsecret once at module load
+Gio._promisify(Secret, 'password_lookup', 'password_lookup_finish');
+Gio._promisify(Secret, 'password_store', 'password_store_finish');
+Gio._promisify(Secret, 'password_clear', 'password_clear_finish');
+Gio._promisify(Secret, 'password_search', 'password_search_finish');
+Gio._promisify(Secret.Retrievable.prototype, 'retrieve_secret', 'retrieve_secret_finish');
+
+/**
+ * Read the configured accounts as [{id, name, host, clientId}].
+ */
+export function getAccounts(settings) {
+    return settings.get_value('accounts').deepUnpack()
+        .map(([id, name, host, clientId]) => ({id, name, host, clientId}));
+}
+
+/**
+ * Write the accounts list back to settings.
+ */
+export function setAccounts(settings, accounts) {
+    settings.set_value('accounts', new GLib.Variant('a(ssss)',
+        accounts.map(({id, name, host, clientId = ''}) => [id, name, host, clientId])));
+}
+
+/**
+ * Look up the token for an account, or null if none is stored.
+ */
+export async function lookupToken(accountId) {
+    const token = await Secret.password_lookup(
+        SECRET_SCHEMA,
+        {application: APPLICATION, account: accountId},
+        null,
+    );
+    if (token || accountId !== DEFAULT_ACCOUNT_ID)
+        return token;
+
+    // Older versions stored a single token without an account attribute.
+    // A plain lookup would also match other accounts' tokens, so search
+    // and pick the item that has no account set.
+    const items = await Secret.password_search(
+        SECRET_SCHEMA,
+        {application: APPLICATION},
+        Secret.SearchFlags.ALL | Secret.SearchFlags.UNLOCK,
+        null,
+    );
+    const legacy = items.find(item => !('account' in item.get_attributes()));
+    if (!legacy)
+        return null;
+
+    const value = await legacy.retrieve_secret(null);
+    return value?.get_text() ?? null;
+}
+
+/**
+ * Store the token for an account in the default keyring.
+ */
+export async function storeToken(account, token) {
+    await Secret.password_store(
+        SECRET_SCHEMA,
+        {application: APPLICATION, account: account.id},
+        Secret.COLLECTION_DEFAULT,
+        `GitHub PR Status Token (${account.name})`,
+        token,
+        null,
+    );
+}
+
+/**
+ * Remove the stored token for an account.
+ */
+export async function clearToken(accountId) {
+    await Secret.password_clear(
+        SECRET_SCHEMA,
+        {application: APPLICATION, account: accountId},
+        null,
+    );
+}
@@ -0,0 +1,222 @@
+#!/usr/bin/env -S gjs -m
+// Command-line companion to the extension. Prints your PRs and unread
+// notification count using the same keyring tokens and settings.
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import System from 'system';
+
+import GitHubClient from './github.js';
+import {getAccounts, lookupToken} from './accounts.js';
+
+const SCHEMA_ID = 'org.gnome.shell.extensions.github-pr-status';
+
+const USAGE = `Usage: cli.js [--json] [--account NAME]
+
+Print open PRs by category and the unread notification count for each
+account configured in the GitHub PR Status extension.
+
+  --json          Print JSON instead of a table
+  --account NAME  Only show the named account
+
+Exit status: 0 if CI is passing on all of your PRs, 1 if any PR has
+failing CI, 2 if CI is still running, 3 on errors.`;
+
+const EXIT_OK = 0;
+const EXIT_FAILING = 1;
+const EXIT_PENDING = 2;
+const EXIT_ERROR = 3;
+
+const CATEGORY_LABELS = {
+    reviewRequested: 'Awaiting My Review',
+    readyToMerge: 'Ready to Merge',
+    approved: 'Approved',
+    changesRequested: 'Changes Requested',
+    unresolved: 'Unresolved Comments',
+    reviewRequired: 'Review Required',
+    draft: 'Draft',
+};
+
+const CI_SYMBOLS = {
+    success: '✔',
+    failure: '✖',
+    pending: '⏳',
+    none: '-',
+};
+
+function parseArgs(args) {
+    const options = {json: false, account: null};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+        case '--json':
+            options.json = true;
+            break;
+        case '--account':
+            options.account = args[++i] ?? null;
+            if (!options.account)
+                return null;
+            break;
+        default:
+            return null;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the extension's settings, preferring the schema compiled next to
+ * this script over an installed one.
+ */
+function loadSettings() {
+    const [path] = GLib.filename_from_uri(import.meta.url);
+    const schemaDir = GLib.build_filenamev([GLib.path_get_dirname(path), 'schemas']);
+
+    let source = Gio.SettingsSchemaSource.get_default();
+    try {
+        source = Gio.SettingsSchemaSource.new_from_directory(schemaDir, source, false);
+    } catch {
+        // Not compiled here; fall back to the installed schemas
+    }
+
+    const schema = source?.lookup(SCHEMA_ID, true);
+    return schema ? new Gio.Settings({settings_schema: schema}) : null;
+}
+
+async function fetchAccount(settings, account) {
+    const result = {
+        account: account.name,
+        host: account.host,
+        categories: null,
+        notificationCount: null,
+        warnings: [],
+        error: null,
+    };
+
+    const client = new GitHubClient(account.host);
+    client.setRepositoryFilters(
+        settings.get_strv('repository-include'),
+        settings.get_strv('repository-exclude'),
+    );
+
+    try {
+        const token = await lookupToken(account.id);
+        if (!token) {
+            result.error = 'No token configured';
+            return result;
+        }
+
+        const {categories} = await client.fetchPullRequests(token, [], {
+            unresolvedCategory: settings.get_boolean('unresolved-category'),
+        });
+        result.categories = categories;
+
+        const notifications = await client.fetchNotifications(token, settings.get_strv('notification-filters'));
+        result.notificationCount = notifications?.length ?? 0;
+    } catch (e) {
+        result.error = e.message;
+    } finally {
+        result.warnings = client.warnings;
+        client.destroy();
+    }
+
+    return result;
+}
+
+function printTable(results) {
+    for (const result of results) {
+        if (results.length > 1)
+            print(`== ${result.account} (${result.host}) ==`);
+
+        if (result.error) {
+            printerr(`Error: ${result.error}`);
+            continue;
+        }
+
+        const rows = [];
+        for (const [key, label] of Object.entries(CATEGORY_LABELS)) {
+            for (const pr of result.categories[key] ?? [])
+                rows.push([label, CI_SYMBOLS[pr.ciStatus] ?? '-', `${pr.repo}#${pr.number}`, pr.title]);
+        }
+
+        if (rows.length === 0) {
+            print('No open PRs');
+        } else {
+            const widths = [0, 1, 2].map(col => Math.max(...rows.map(row => row[col].length)));
+            for (const row of rows) {
+                print(row.map((cell, col) => col < widths.length ? cell.padEnd(widths[col]) : cell)
+                    .join('  '));
+            }
+        }
+
+        print(`Notifications: ${result.notificationCount}`);
+
+        for (const {message, url} of result.warnings)
+            printerr(`Warning: ${message}${url ? ` (${url})` : ''}`);
+    }
+}
+
+/**
+ * Map the CI state of the user's own PRs to an exit status.
+ */
+function exitStatus(results) {
+    if (results.some(result => result.error))
+        return EXIT_ERROR;
+
+    const statuses = new Set(results.flatMap(result =>
+        Object.entries(result.categories)
+            .filter(([key]) => key !== 'reviewRequested')
+            .flatMap(([, prs]) => prs.map(pr => pr.ciStatus))));
+
+    if (statuses.has('failure'))
+        return EXIT_FAILING;
+    if (statuses.has('pending'))
+        return EXIT_PENDING;
+    return EXIT_OK;
+}
+
+async function main(args) {
+    const options = parseArgs(args);
+    if (!options) {
+        printerr(USAGE);
+        return EXIT_ERROR;
+    }
+
+    const settings = loadSettings();
+    if (!settings) {
+        printerr(`Settings schema ${SCHEMA_ID} not found; run glib-compile-schemas on the extension's schemas directory`);
+        return EXIT_ERROR;
+    }
+
+    let accounts = getAccounts(settings);
+    if (options.account) {
+        accounts = accounts.filter(account => account.name === options.account);
+        if (accounts.length === 0) {
+            printerr(`No account named "${options.account}"`);
+            return EXIT_ERROR;
+        }
+    }
+
+    const results = await Promise.all(accounts.map(account => fetchAccount(settings, account)));
+
+    if (options.json)
+        print(JSON.stringify(results, null, 2));
+    else
+        printTable(results);
+
+    return exitStatus(results);
+}
+
+// Soup and libsecret need a running main loop to complete
+const loop = new GLib.MainLoop(null, false);
+let status = EXIT_ERROR;
+
+main(System.programArgs).then(result => {
+    status = result;
+}).catch(e => {
+    printerr(`Error: ${e.message}`);
+}).finally(() => loop.quit());
+
+loop.run();
+System.exit(status);
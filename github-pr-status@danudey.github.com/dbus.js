@@ -0,0 +1,67 @@
+import Gio from 'gi://Gio';
+
+// Exported on the session bus under GNOME Shell's own name (org.gnome.Shell)
+const OBJECT_PATH = '/org/gnome/shell/extensions/GitHubPRStatus';
+
+const INTERFACE_XML = `<node>
+  <interface name="org.gnome.shell.extensions.GitHubPRStatus">
+    <method name="GetPullRequests">
+      <arg type="s" direction="out" name="json"/>
+    </method>
+    <method name="GetNotificationCount">
+      <arg type="u" direction="out" name="count"/>
+    </method>
+    <method name="Refresh"/>
+    <signal name="Changed"/>
+  </interface>
+</node>`;
+
+/**
+ * Session D-Bus object exposing the indicator's state to other programs.
+ * The data comes from the callbacks passed in, so this module knows
+ * nothing about the menu itself.
+ */
+export default class GitHubPRStatusDBus {
+    /**
+     * @param {object} delegate
+     * @param {Function} delegate.getPullRequests - returns a JSON-serializable snapshot
+     * @param {Function} delegate.getNotificationCount - returns the unread count
+     * @param {Function} delegate.refresh - starts a refresh
+     */
+    constructor(delegate) {
+        this._delegate = delegate;
+        this._lastSnapshot = null;
+
+        this._impl = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._impl.export(Gio.DBus.session, OBJECT_PATH);
+    }
+
+    GetPullRequests() {
+        return JSON.stringify(this._delegate.getPullRequests());
+    }
+
+    GetNotificationCount() {
+        return this._delegate.getNotificationCount();
+    }
+
+    Refresh() {
+        this._delegate.refresh();
+    }
+
+    /**
+     * Emit Changed if the data differs from the last time this was called.
+     */
+    notifyChanged() {
+        const snapshot = `${this.GetNotificationCount()}:${this.GetPullRequests()}`;
+        if (snapshot === this._lastSnapshot)
+            return;
+
+        this._lastSnapshot = snapshot;
+        this._impl.emit_signal('Changed', null);
+    }
+
+    destroy() {
+        this._impl.unexport();
+        this._impl = null;
+    }
+}
@@ -3,21 +3,22 @@ import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import St from 'gi://St';
 import Clutter from 'gi://Clutter';
-import Secret from 'gi://Secret';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 
 import {Extension} from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as Config from 'resource:///org/gnome/shell/misc/config.js';
 
 import GitHubClient from './github.js';
-
-const SECRET_SCHEMA = new Secret.Schema(
-    'org.gnome.shell.extensions.github-pr-status',
-    Secret.SchemaFlags.NONE,
-    {application: Secret.SchemaAttributeType.STRING},
-);
+import {getAccounts, lookupToken} from './accounts.js';
+import GitHubPRStatusDBus from './dbus.js';
 
 const CI_ICONS = {
     success: '\u2705',  // ✅
@@ -35,14 +36,573 @@ const REVIEW_ICONS = {
 };
 
 const CATEGORY_META = [
+    {key: 'reviewRequested', label: 'Awaiting My Review', icon: '\u{1F440}'},
+    {key: 'readyToMerge', label: 'Ready to Merge', icon: '\u{1F680}'},
     {key: 'approved', label: 'Approved', icon: CI_ICONS.success},
     {key: 'changesRequested', label: 'Changes Requested', icon: CI_ICONS.failure},
+    {key: 'unresolved', label: 'Unresolved Comments', icon: '\u{1F4AC}'},
     {key: 'reviewRequired', label: 'Review Required', icon: CI_ICONS.pending},
     {key: 'draft', label: 'Draft', icon: '\u{1F4DD}'},
 ];
 
-// Promisify libsecret once at module load
-Gio._promisify(Secret, 'password_lookup', 'password_lookup_finish');
+// Desktop notifications for state changes between refreshes
+const TRANSITION_META = {
+    'ci-failed': {label: 'CI failed', icon: CI_ICONS.failure},
+    'ci-passed': {label: 'CI passed', icon: CI_ICONS.success},
+    'approved': {label: 'Approved', icon: REVIEW_ICONS.APPROVED},
+    'changes-requested': {label: 'Changes requested', icon: REVIEW_ICONS.CHANGES_REQUESTED},
+    'review-requested': {label: 'Review requested', icon: '\u{1F440}'},
+};
+
+const CLOSED_ICONS = {
+    merged: '\u{1F7E3}',  // 🟣
+    closed: '\u26AB',     // ⚫
+};
+
+const MERGE_METHOD_LABELS = {
+    MERGE: 'Merge Commit',
+    SQUASH: 'Squash',
+    REBASE: 'Rebase',
+};
+
+/**
+ * Reviewers worth asking again: anyone whose latest review isn't an
+ * approval. Bots and other non-user reviewers have no id and are skipped.
+ */
+function reviewersToRerequest(pr) {
+    return pr.reviewers.filter(r => r.id && r.state !== 'APPROVED' && r.login !== pr.author);
+}
+
+/**
+ * Actions offered in a PR's expanded details. Actions with `confirm`
+ * ask before running; `run` receives the account's GitHubClient.
+ */
+const PR_ACTIONS = [
+    {
+        label: pr => `Merge (${MERGE_METHOD_LABELS[pr.mergeMethod]})\u2026`,
+        isAvailable: pr => !pr.isDraft && !!pr.mergeMethod && pr.mergeable === 'MERGEABLE',
+        confirm: pr => ({
+            title: `Merge ${pr.repo}#${pr.number}?`,
+            description: `\u201C${pr.title}\u201D will be merged using ${MERGE_METHOD_LABELS[pr.mergeMethod].toLowerCase()}.`,
+            confirmLabel: 'Merge',
+        }),
+        run: (client, token, pr) => client.mergePullRequest(token, pr),
+    },
+    {
+        label: pr => `Enable Auto-merge (${MERGE_METHOD_LABELS[pr.mergeMethod]})\u2026`,
+        isAvailable: pr => !pr.isDraft && !!pr.mergeMethod && pr.autoMergeAllowed &&
+            !pr.autoMergeMethod && pr.mergeStateStatus !== 'CLEAN',
+        confirm: pr => ({
+            title: `Enable auto-merge for ${pr.repo}#${pr.number}?`,
+            description: `\u201C${pr.title}\u201D will be merged automatically once all requirements are met.`,
+            confirmLabel: 'Enable Auto-merge',
+        }),
+        run: (client, token, pr) => client.enableAutoMerge(token, pr),
+    },
+    {
+        label: () => 'Mark Ready for Review',
+        isAvailable: pr => pr.isDraft,
+        run: (client, token, pr) => client.markReadyForReview(token, pr),
+    },
+    {
+        label: () => 'Re-run Failed Checks',
+        isAvailable: pr => pr.checks.some(check => check.status === 'failure' && check.checkSuiteId),
+        run: (client, token, pr) => client.rerunFailedChecks(token, pr),
+    },
+    {
+        label: pr => `Request Re-review (${reviewersToRerequest(pr).map(r => r.login).join(', ')})`,
+        isAvailable: pr => reviewersToRerequest(pr).length > 0,
+        run: (client, token, pr) => client.requestReviews(token, pr, reviewersToRerequest(pr)),
+    },
+];
+
+// Sort order of CI states when sorting by CI
+const CI_SORT_ORDER = ['failure', 'pending', 'success', 'none'];
+
+const PR_SORTERS = {
+    updated: (a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt),
+    created: (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt),
+    repository: (a, b) => a.repo.localeCompare(b.repo) || b.number - a.number,
+    ci: (a, b) => CI_SORT_ORDER.indexOf(a.ciStatus) - CI_SORT_ORDER.indexOf(b.ciStatus) ||
+        Date.parse(b.updatedAt) - Date.parse(a.updatedAt),
+};
+
+const STACK_ICON = '\u{1F95E}';       // 🥞
+const REPOSITORY_ICON = '\u{1F4C1}';  // 📁
+
+// Notification threads listed per account before linking to github.com
+const MAX_NOTIFICATIONS_SHOWN = 20;
+
+const NOTIFICATION_REASON_LABELS = {
+    review_requested: 'Review requested',
+    mention: 'Mentioned',
+    team_mention: 'Team mentioned',
+    comment: 'Comment',
+    assign: 'Assigned',
+    author: 'Author',
+    state_change: 'State change',
+    ci_activity: 'CI activity',
+    subscribed: 'Subscribed',
+};
+
+// Exponential backoff after a failed PR or notification fetch
+const BACKOFF_BASE_SECONDS = 60;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+
+/**
+ * Whether waiting might fix a failed fetch: rate limits, server errors and
+ * network failures. Other 4xx responses (a revoked token, a missing scope,
+ * a fine-grained token on the notifications API) won't fix themselves.
+ */
+function isRetryable(error) {
+    if (error.rateLimited)
+        return true;
+
+    const status = error.status ?? null;
+    return status === null || status >= 500;
+}
+
+/**
+ * Update a {failures, retryAt} backoff after a failed fetch. `retryAt`
+ * never falls before the end of the rate limit, if there is one.
+ */
+function backOff(backoff, error, rateLimitedUntil) {
+    if (!isRetryable(error)) {
+        resetBackoff(backoff);
+        return;
+    }
+
+    backoff.failures++;
+    const delay = Math.min(BACKOFF_BASE_SECONDS * 2 ** (backoff.failures - 1), BACKOFF_MAX_SECONDS);
+    backoff.retryAt = Math.max(Date.now() + delay * 1000, rateLimitedUntil ?? 0);
+}
+
+function resetBackoff(backoff) {
+    backoff.failures = 0;
+    backoff.retryAt = 0;
+}
+
+// MessageTray switched to property-based constructors in GNOME 46
+const SHELL_MAJOR_VERSION = Number.parseInt(Config.PACKAGE_VERSION.split('.')[0]);
+
+/**
+ * Count an account's PRs that are waiting on the user: their own PRs that
+ * can be merged, have changes requested, failing CI or conflicts, plus
+ * PRs awaiting their review.
+ */
+function countActionNeeded(account) {
+    if (!account.categories) return 0;
+
+    const urls = new Set([
+        ...account.categories.readyToMerge,
+        ...account.categories.changesRequested,
+        ...account.categories.unresolved,
+        ...account.categories.reviewRequested,
+        ...account.allPRs.filter(pr => pr.ciStatus === 'failure' || pr.hasConflicts),
+    ].map(pr => pr.url));
+    return urls.size;
+}
+
+/**
+ * Reduce the CI status of many PRs to one: any failure wins, then any
+ * pending run, then success. Returns null if no PR has checks.
+ */
+function aggregateCiStatus(prs) {
+    const statuses = new Set(prs.map(pr => pr.ciStatus));
+    for (const status of ['failure', 'pending', 'success']) {
+        if (statuses.has(status))
+            return status;
+    }
+    return null;
+}
+
+/**
+ * Compact CI summary such as "✔3 ✖1 ⏳2", leaving out zero counts.
+ */
+function ciSummary(prs) {
+    const symbols = {success: '\u2714', failure: '\u2716', pending: '\u23F3'};
+    return Object.entries(symbols)
+        .map(([status, symbol]) => [symbol, prs.filter(pr => pr.ciStatus === status).length])
+        .filter(([, count]) => count > 0)
+        .map(([symbol, count]) => `${symbol}${count}`)
+        .join(' ');
+}
+
+/**
+ * Read the saved-searches setting as [{name, query, countInBadge}],
+ * skipping searches whose query hasn't been filled in yet.
+ */
+function getSavedSearches(settings) {
+    return settings.get_value('saved-searches').deepUnpack()
+        .map(([name, query, countInBadge]) => ({name, query, countInBadge}))
+        .filter(search => search.query.trim());
+}
+
+/**
+ * Whether a PR matches every search term, each checked against its title,
+ * repository, author and number ("123" or "#123").
+ */
+function prMatchesSearch(pr, terms) {
+    const haystack = `${pr.title} ${pr.repo} ${pr.author ?? ''}`.toLowerCase();
+    return terms.every(term =>
+        haystack.includes(term) || `${pr.number}` === term.replace(/^#/, ''));
+}
+
+/**
+ * Format a time in ms since the epoch as local HH:MM.
+ */
+function formatTime(time) {
+    return GLib.DateTime.new_from_unix_local(Math.floor(time / 1000)).format('%H:%M');
+}
+
+/**
+ * Format an ISO 8601 timestamp as a short age such as "5m ago".
+ */
+function formatAge(timestamp) {
+    const seconds = Math.max(0, (Date.now() - Date.parse(timestamp)) / 1000);
+    if (seconds < 60)
+        return 'just now';
+    if (seconds < 3600)
+        return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400)
+        return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+/**
+ * Short markers for merge-related PR state, appended to the PR's label.
+ */
+function mergeIndicators(pr) {
+    const indicators = [];
+    if (pr.unresolvedThreads > 0)
+        indicators.push(`\u{1F4AC} ${pr.unresolvedThreads} unresolved`);
+    if (pr.hasConflicts)
+        indicators.push('\u26A0\uFE0F Conflicts');
+    if (pr.mergeQueuePosition !== null)
+        indicators.push('\u{1F682} In merge queue');
+    else if (pr.autoMergeMethod)
+        indicators.push('\u{1F501} Auto-merge');
+    return indicators.length > 0 ? ` \u2014 ${indicators.join(', ')}` : '';
+}
+
+/**
+ * Ask the user to confirm an action. Resolves to true if they did.
+ */
+function confirmAction({title, description, confirmLabel}) {
+    return new Promise(resolve => {
+        const dialog = new ModalDialog.ModalDialog();
+        dialog.contentLayout.add_child(new Dialog.MessageDialogContent({title, description}));
+
+        const respond = confirmed => {
+            dialog.close();
+            resolve(confirmed);
+        };
+        dialog.setButtons([
+            {label: 'Cancel', action: () => respond(false), key: Clutter.KEY_Escape},
+            {label: confirmLabel, action: () => respond(true), default: true},
+        ]);
+        dialog.open();
+    });
+}
+
+/**
+ * Compare two fetch results for the same account and return the state
+ * changes between them as [{type, pr}]. PRs only present in one of the
+ * two results are ignored, except for newly requested reviews.
+ */
+function findTransitions(previous, current) {
+    const transitions = [];
+    const before = new Map(previous.allPRs.map(pr => [pr.url, pr]));
+
+    for (const pr of current.allPRs) {
+        const old = before.get(pr.url);
+        if (!old) continue;
+
+        if (pr.ciStatus !== old.ciStatus) {
+            if (pr.ciStatus === 'failure')
+                transitions.push({type: 'ci-failed', pr});
+            else if (pr.ciStatus === 'success')
+                transitions.push({type: 'ci-passed', pr});
+        }
+
+        if (pr.reviewDecision !== old.reviewDecision) {
+            if (pr.reviewDecision === 'APPROVED')
+                transitions.push({type: 'approved', pr});
+            else if (pr.reviewDecision === 'CHANGES_REQUESTED')
+                transitions.push({type: 'changes-requested', pr});
+        }
+    }
+
+    const alreadyRequested = new Set(previous.categories.reviewRequested.map(pr => pr.url));
+    for (const pr of current.categories.reviewRequested) {
+        if (!alreadyRequested.has(pr.url))
+            transitions.push({type: 'review-requested', pr});
+    }
+
+    return transitions;
+}
+
+/**
+ * Find chains of stacked PRs, where one PR's base branch is another's head
+ * branch in the same repository. Returns each stack of two or more PRs as
+ * [{pr, depth}] in dependency order, bottom of the stack first.
+ */
+function findStacks(prs) {
+    // Fork branches can share names with the base repository's, so skip them
+    const byHead = new Map(prs
+        .filter(pr => !pr.isCrossRepository)
+        .map(pr => [`${pr.repo}:${pr.headRef}`, pr]));
+
+    const children = new Map();
+    const roots = [];
+    for (const pr of prs) {
+        const parent = byHead.get(`${pr.repo}:${pr.baseRef}`);
+        if (parent && parent !== pr) {
+            if (!children.has(parent))
+                children.set(parent, []);
+            children.get(parent).push(pr);
+        } else {
+            roots.push(pr);
+        }
+    }
+
+    const stacks = [];
+    for (const root of roots.filter(pr => children.has(pr))) {
+        const stack = [];
+        const visit = (pr, depth) => {
+            stack.push({pr, depth});
+            for (const child of children.get(pr) ?? [])
+                visit(child, depth + 1);
+        };
+        visit(root, 0);
+        stacks.push(stack);
+    }
+    return stacks;
+}
+
+/**
+ * Plain-text report of a PR's failing checks for pasting into chat or an issue.
+ */
+function formatFailureSummary(pr, failures) {
+    const lines = [`${pr.repo}#${pr.number}: ${pr.title}`, pr.url];
+    for (const {name, url, summary, annotations} of failures) {
+        lines.push('', `${CI_ICONS.failure} ${name}${url ? ` (${url})` : ''}`);
+        if (summary)
+            lines.push(`  ${summary}`);
+        for (const {path, line, message} of annotations)
+            lines.push(`  ${path}${line ? `:${line}` : ''}: ${message}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * A PR entry that expands in place to show its checks and reviewers.
+ * Shell menus can't nest submenus, so the details live in a sibling
+ * section that the owner adds right after this item.
+ */
+const PRMenuItem = GObject.registerClass(
+class PRMenuItem extends PopupMenu.PopupBaseMenuItem {
+    _init(pr, {onAction, loadFailures, isSearching, stale = false, depth = 0}) {
+        super._init();
+
+        this._pr = pr;
+        this._onAction = onAction;
+        this._isSearching = isSearching;
+        this._loadFailures = loadFailures;
+
+        this._indent = depth > 0 ? `${'    '.repeat(depth - 1)}\u21B3 ` : '';
+        this.label = new St.Label({
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this.add_child(this.label);
+        this.label_actor = this.label;
+
+        this._ageLabel = new St.Label({
+            style_class: 'github-pr-age',
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this.add_child(this._ageLabel);
+
+        this.updateTime(stale);
+
+        this._expander = new St.Icon({
+            icon_name: 'pan-end-symbolic',
+            style_class: 'popup-menu-arrow',
+            y_align: Clutter.ActorAlign.CENTER,
+        });
+        this.add_child(this._expander);
+
+        this.details = new PopupMenu.PopupMenuSection();
+        this.details.actor.hide();
+        this._detailsPopulated = false;
+
+        this.connect('destroy', () => {
+            this._failuresSection = null;
+        });
+    }
+
+    /**
+     * Update the age and stale flag, which change with time alone.
+     */
+    updateTime(stale) {
+        const pr = this._pr;
+        const ciIcon = CI_ICONS[pr.ciStatus] || CI_ICONS.none;
+        const staleIcon = stale ? '\u{1F4A4} ' : '';
+        this.label.text = `${this._indent}${ciIcon} ${staleIcon}${pr.repoName}: ${pr.title}${mergeIndicators(pr)}`;
+        this._ageLabel.text = formatAge(pr.updatedAt);
+
+        if (stale)
+            this.add_style_class_name('github-pr-stale');
+        else
+            this.remove_style_class_name('github-pr-stale');
+    }
+
+    // Search results open the PR, so Enter on a focused result works like
+    // Enter in the search entry. Otherwise toggle the details instead of
+    // emitting 'activate', which would close the menu.
+    activate(event) {
+        if (this._isSearching()) {
+            Gio.AppInfo.launch_default_for_uri(this._pr.url, null);
+            super.activate(event);
+            return;
+        }
+
+        this.setExpanded(!this.details.actor.visible);
+    }
+
+    setExpanded(expanded) {
+        if (expanded && !this._detailsPopulated) {
+            this._populateDetails();
+            this._detailsPopulated = true;
+        }
+
+        this.details.actor.visible = expanded;
+        this._expander.icon_name = expanded ? 'pan-down-symbolic' : 'pan-end-symbolic';
+    }
+
+    _addDetail(text, onActivate = null, section = this.details) {
+        const item = new PopupMenu.PopupMenuItem(text, {reactive: !!onActivate});
+        item.add_style_class_name('github-pr-detail');
+        if (onActivate)
+            item.connect('activate', onActivate);
+        section.addMenuItem(item);
+    }
+
+    _addLinkDetail(text, url, section = this.details) {
+        this._addDetail(text, url ? () => Gio.AppInfo.launch_default_for_uri(url, null) : null, section);
+    }
+
+    _populateDetails() {
+        const {url, checks, reviewers} = this._pr;
+
+        this._addLinkDetail('\u{1F517} Open PR', url);
+
+        for (const action of PR_ACTIONS) {
+            if (action.isAvailable(this._pr))
+                this._addDetail(action.label(this._pr), () => this._onAction(action));
+        }
+
+        if (checks.length > 0) {
+            this._addDetail(`Checks (${checks.length})`);
+            for (const check of checks)
+                this._addLinkDetail(`    ${CI_ICONS[check.status] || CI_ICONS.none} ${check.name}`, check.url);
+        }
+
+        if (checks.some(check => check.status === 'failure')) {
+            this._failuresSection = new PopupMenu.PopupMenuSection();
+            this.details.addMenuItem(this._failuresSection);
+            this._populateFailures();
+        }
+
+        if (reviewers.length > 0) {
+            this._addDetail(`Reviewers (${reviewers.length})`);
+            for (const {login, state} of reviewers)
+                this._addDetail(`    ${REVIEW_ICONS[state] ?? ''} ${login}`);
+        }
+    }
+
+    // Failure details cost an API call, so they're only fetched on expand
+    async _populateFailures() {
+        this._addDetail('Loading failure details\u2026', null, this._failuresSection);
+
+        let failures = null;
+        try {
+            failures = await this._loadFailures();
+        } catch (e) {
+            console.error(`[GitHub PR Status] Failed to load failure details for ${this._pr.repo}#${this._pr.number}: ${e.message}`);
+        }
+
+        // The menu may have been rebuilt while the request was in flight
+        const section = this._failuresSection;
+        if (!section)
+            return;
+
+        section.removeAll();
+        if (!failures) {
+            this._addDetail('\u26A0\uFE0F Couldn\u2019t load failure details', null, section);
+            return;
+        }
+
+        this._addDetail('Failures', null, section);
+        for (const {name, url, summary, annotations} of failures) {
+            this._addLinkDetail(`    ${CI_ICONS.failure} ${name}${summary ? `: ${summary.split('\n')[0].slice(0, 80)}` : ''}`,
+                url, section);
+            for (const {path, line, message} of annotations) {
+                this._addLinkDetail(`        ${path}${line ? `:${line}` : ''} \u2014 ${message.split('\n')[0].slice(0, 80)}`,
+                    url, section);
+            }
+        }
+
+        this._addDetail('\u{1F4CB} Copy Failure Summary', () => {
+            St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD,
+                formatFailureSummary(this._pr, failures));
+        }, section);
+    }
+});
+
+/**
+ * An unread notification thread: subject and repository, with the reason
+ * and age underneath and a button to mark it as read without opening it.
+ */
+const NotificationMenuItem = GObject.registerClass(
+class NotificationMenuItem extends PopupMenu.PopupBaseMenuItem {
+    _init(notification, onMarkRead) {
+        super._init();
+
+        const box = new St.BoxLayout({vertical: true, x_expand: true});
+        this.add_child(box);
+
+        this.label = new St.Label({text: `${notification.repo}: ${notification.title}`});
+        box.add_child(this.label);
+        this.label_actor = this.label;
+
+        this._notification = notification;
+        this._metaLabel = new St.Label({style_class: 'github-pr-notification-meta'});
+        box.add_child(this._metaLabel);
+        this.updateTime();
+
+        const markReadButton = new St.Button({
+            child: new St.Icon({icon_name: 'object-select-symbolic', style_class: 'popup-menu-icon'}),
+            style_class: 'github-pr-notification-button',
+            y_align: Clutter.ActorAlign.CENTER,
+            can_focus: true,
+            accessible_name: 'Mark as read',
+        });
+        markReadButton.connect('clicked', () => onMarkRead());
+        this.add_child(markReadButton);
+
+        this.connect('activate', () => {
+            if (notification.url)
+                Gio.AppInfo.launch_default_for_uri(notification.url, null);
+        });
+    }
+
+    updateTime() {
+        const {reason, updatedAt} = this._notification;
+        this._metaLabel.text = `${NOTIFICATION_REASON_LABELS[reason] ?? reason} \u00B7 ${formatAge(updatedAt)}`;
+    }
+});
 
 const GitHubPRButton = GObject.registerClass(
 class GitHubPRButton extends PanelMenu.Button {
@@ -51,17 +611,26 @@ class GitHubPRButton extends PanelMenu.Button {
 
         this._extension = extension;
         this._settings = extension.getSettings();
-        this._client = new GitHubClient();
+        this._accounts = [];
         this._timerId = null;
         this._settingsConnections = [];
-        this._lastCategories = null;
-        this._lastNotificationCount = 0;
+        this._notificationSource = null;
+        this._sleeping = false;
+        this._searchEntry = null;
+        this._builtSnapshot = null;
+        this._statusItem = null;
+        this._timeUpdaters = [];
+        this._refreshing = false;
+        this._queuedRefresh = null;
+        this._destroyed = false;
+        this._searchResults = [];
+        this._searchHiddenItems = [];
 
         // Panel icon
         const iconPath = extension.path + '/icons/github-symbolic.svg';
-        const gicon = Gio.icon_new_for_string(iconPath);
+        this._gicon = Gio.icon_new_for_string(iconPath);
         this._icon = new St.Icon({
-            gicon,
+            gicon: this._gicon,
             style_class: 'system-status-icon',
         });
 
@@ -79,77 +648,512 @@ class GitHubPRButton extends PanelMenu.Button {
         this.add_child(box);
 
         // Initial menu
+        this._loadAccounts();
         this._buildMenuLoading();
 
+        // Start every menu opening with an empty search and current ages
+        this.menu.connect('open-state-changed', (_menu, open) => {
+            if (open)
+                this._updateTimes();
+            else if (this._searchEntry)
+                this._searchEntry.text = '';
+        });
+
+        Main.wm.addKeybinding('toggle-menu', this._settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => this._toggleMenuWithSearch());
+
         // Watch settings changes
         this._settingsConnections.push(
             this._settings.connect('changed::refresh-interval', () => this._restartTimer()),
             this._settings.connect('changed::notification-filters', () => this._refresh()),
+            this._settings.connect('changed::accounts', () => this._onAccountsChanged()),
+            this._settings.connect('changed::repository-include', () => this._onRepositoryFiltersChanged()),
+            this._settings.connect('changed::repository-exclude', () => this._onRepositoryFiltersChanged()),
+            this._settings.connect('changed::badge-review-requests', () => this._updateBadge()),
+            this._settings.connect('changed::indicator-mode', () => this._updateBadge()),
+            this._settings.connect('changed::saved-searches', () => this._refresh()),
+            this._settings.connect('changed::sort-order', () => this._buildMenu()),
+            this._settings.connect('changed::stale-days', () => this._buildMenu()),
+            this._settings.connect('changed::group-by', () => this._buildMenu()),
+            this._settings.connect('changed::unresolved-category', () => this._refresh()),
+            this._settings.connect('changed::recent-days', () => this._refresh()),
         );
 
+        // Pause polling while offline or suspended. Locking the screen
+        // disables the extension, and unlocking enables it again with a fresh
+        // refresh, so the lock screen needs no handling here.
+        this._networkMonitor = Gio.NetworkMonitor.get_default();
+        this._online = this._networkMonitor.network_available;
+        this._networkChangedId = this._networkMonitor.connect('network-changed',
+            (_monitor, available) => this._onNetworkChanged(available));
+
+        this._prepareForSleepId = Gio.DBus.system.signal_subscribe(
+            'org.freedesktop.login1',
+            'org.freedesktop.login1.Manager',
+            'PrepareForSleep',
+            '/org/freedesktop/login1',
+            null,
+            Gio.DBusSignalFlags.NONE,
+            (_connection, _sender, _path, _iface, _signal, params) => {
+                const [sleeping] = params.deepUnpack();
+                this._onPrepareForSleep(sleeping);
+            },
+        );
+
+        this._dbus = new GitHubPRStatusDBus({
+            getPullRequests: () => this._getState(),
+            getNotificationCount: () => this._accounts.reduce((n, a) => n + a.notifications.length, 0),
+            refresh: () => this._refresh({force: true}),
+        });
+
         // Start polling
-        this._refresh();
+        if (this._isPaused())
+            this._buildMenu();
+        else
+            this._refresh();
         this._startTimer();
     }
 
+    _isPaused() {
+        return !this._online || this._sleeping;
+    }
+
+    _onNetworkChanged(available) {
+        if (available === this._online) return;
+
+        this._online = available;
+        if (available && !this._isPaused())
+            this._refresh({force: true});
+        else
+            this._buildMenu();
+    }
+
+    _onPrepareForSleep(sleeping) {
+        this._sleeping = sleeping;
+        if (!sleeping && !this._isPaused())
+            this._refresh({force: true});
+    }
+
     _buildMenuLoading() {
         this.menu.removeAll();
+        this._searchEntry = null;
+        this._statusItem = null;
+        this._timeUpdaters = [];
         this.menu.addMenuItem(new PopupMenu.PopupMenuItem('Loading...', {reactive: false}));
     }
 
-    _buildMenuError(msg) {
+    _buildMenu() {
+        // Skip rebuild if menu is currently open to avoid visual disruption
+        if (this.menu.isOpen) return;
+
+        this._builtSnapshot = this._menuSnapshot();
+        this._timeUpdaters = [];
         this.menu.removeAll();
-        const item = new PopupMenu.PopupMenuItem(msg, {reactive: false});
-        this.menu.addMenuItem(item);
+        this._searchResults = [];
+        this._searchHiddenItems = [];
+        this._addSearchEntry();
+
+        if (!this._online) {
+            const lastUpdated = Math.max(0, ...this._accounts.map(a => a.lastUpdated));
+            this.menu.addMenuItem(new PopupMenu.PopupMenuItem(lastUpdated
+                ? `Offline \u2014 last updated at ${formatTime(lastUpdated)}`
+                : 'Offline', {reactive: false}));
+        }
+
+        const showAccountNames = this._accounts.length > 1;
+        for (const account of this._accounts) {
+            if (showAccountNames)
+                this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(account.name));
+
+            this._addAccountSection(account);
+        }
+
         this._addFooter();
     }
 
-    _buildMenu(categories) {
-        // Skip rebuild if menu is currently open to avoid visual disruption
-        if (this.menu.isOpen) return;
+    /**
+     * Keep a relative time shown by `actor` current by calling `update`
+     * after each refresh and when the menu opens, since the menu is only
+     * rebuilt when the data changes.
+     */
+    _addTimeUpdater(actor, update) {
+        this._timeUpdaters.push(update);
+        actor.connect('destroy', () => {
+            this._timeUpdaters = this._timeUpdaters.filter(u => u !== update);
+        });
+    }
 
-        this.menu.removeAll();
+    _updateTimes() {
+        for (const update of this._timeUpdaters)
+            update();
+    }
 
-        let totalPRs = 0;
+    _isStale(pr) {
+        const staleDays = this._settings.get_int('stale-days');
+        return staleDays > 0 && Date.now() - Date.parse(pr.updatedAt) > staleDays * 86400 * 1000;
+    }
 
-        for (const {key, label, icon} of CATEGORY_META) {
-            const prs = categories[key];
-            if (!prs || prs.length === 0) continue;
+    /**
+     * Everything a refresh can change that the menu shows, for comparing
+     * against what the menu was last built from.
+     */
+    _menuSnapshot() {
+        return JSON.stringify([this._online, this._accounts.map(account => [
+            account.error,
+            account.notificationError,
+            account.warnings,
+            account.client.rateLimitedUntil,
+            account.categories,
+            account.recentlyClosed,
+            account.savedSearches,
+            account.notifications,
+        ])]);
+    }
 
-            totalPRs += prs.length;
+    _addSearchEntry() {
+        this._searchEntry = new St.Entry({
+            hint_text: 'Search PRs\u2026',
+            style_class: 'github-pr-search',
+            can_focus: true,
+            x_expand: true,
+        });
 
-            const categoryItem = new PopupMenu.PopupSubMenuMenuItem(`${icon} ${label} (${prs.length})`);
-            this.menu.addMenuItem(categoryItem);
+        const searchItem = new PopupMenu.PopupBaseMenuItem({reactive: false, can_focus: false});
+        searchItem.add_child(this._searchEntry);
+        this.menu.addMenuItem(searchItem);
 
-            for (const pr of prs) {
-                const ciIcon = CI_ICONS[pr.ciStatus] || CI_ICONS.none;
-                const prItem = new PopupMenu.PopupMenuItem(
-                    `${ciIcon} ${pr.repoName}: ${pr.title}`
-                );
-                prItem.connect('activate', () => {
-                    Gio.AppInfo.launch_default_for_uri(pr.url, null);
-                });
-                categoryItem.menu.addMenuItem(prItem);
+        const text = this._searchEntry.clutter_text;
+        text.connect('text-changed', () => this._applySearch());
 
-            }
+        // Enter opens the top match; Down moves into the results, where Enter
+        // opens the focused PR
+        text.connect('activate', () => {
+            const first = this._searchResults.find(({prItem}) => prItem.visible);
+            if (!first) return;
+
+            Gio.AppInfo.launch_default_for_uri(first.pr.url, null);
+            this.menu.close();
+        });
+        text.connect('key-press-event', (_actor, event) => {
+            if (event.get_key_symbol() !== Clutter.KEY_Down || !this._searchEntry.text)
+                return Clutter.EVENT_PROPAGATE;
+
+            const first = this._searchResults.find(({prItem}) => prItem.visible);
+            first?.prItem.grab_key_focus();
+            return Clutter.EVENT_STOP;
+        });
+    }
+
+    /**
+     * Show only PRs matching the search text, expanding the categories
+     * that contain matches and hiding everything else that isn't a PR.
+     */
+    _applySearch() {
+        const terms = this._searchEntry.text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const searching = terms.length > 0;
+
+        const matchedCategories = new Set();
+        for (const {categoryItem, prItem, pr} of this._searchResults) {
+            const visible = !searching || prMatchesSearch(pr, terms);
+            prItem.visible = visible;
+            if (!visible)
+                prItem.setExpanded(false);
+            else
+                matchedCategories.add(categoryItem);
+        }
+
+        for (const categoryItem of new Set(this._searchResults.map(r => r.categoryItem))) {
+            const matched = matchedCategories.has(categoryItem);
+            categoryItem.visible = !searching || matched;
+            categoryItem.setSubmenuShown(searching && matched);
+        }
+
+        for (const item of this._searchHiddenItems)
+            item.visible = !searching;
+    }
+
+    _toggleMenuWithSearch() {
+        if (this.menu.isOpen) {
+            this.menu.close();
+            return;
+        }
+
+        this.menu.open();
+        if (this._searchEntry)
+            global.stage.set_key_focus(this._searchEntry);
+    }
+
+    _addAccountSection(account) {
+        // PR data comes from GraphQL, which has its own budget
+        const rateLimitedUntil = account.client.resourceRateLimitedUntil('graphql');
+        const rateLimitMessage = rateLimitedUntil
+            ? `${CI_ICONS.pending} Rate limited until ${formatTime(rateLimitedUntil)}`
+            : null;
+
+        if (!account.categories) {
+            this.menu.addMenuItem(new PopupMenu.PopupMenuItem(
+                rateLimitMessage ?? account.error ?? 'Loading...', {reactive: false}
+            ));
+            return;
+        }
+
+        // Showing last known data; say why it isn't updating
+        if (rateLimitMessage)
+            this.menu.addMenuItem(new PopupMenu.PopupMenuItem(rateLimitMessage, {reactive: false}));
+
+        // Only the user's own PRs are regrouped; PRs awaiting their review
+        // always stay in their own section
+        const groupBy = this._settings.get_string('group-by');
+        const stacks = groupBy === 'stack' ? findStacks(account.allPRs) : [];
+        const stacked = new Set(stacks.flat().map(({pr}) => pr));
+
+        for (const {key, label, icon} of CATEGORY_META) {
+            if (groupBy === 'repository' && key !== 'reviewRequested')
+                continue;
+
+            const prs = account.categories[key].filter(pr => !stacked.has(pr));
+            if (prs.length > 0)
+                this._addPRSection(account, `${icon} ${label} (${prs.length})`, prs);
+        }
+
+        if (groupBy === 'repository')
+            this._addRepositorySections(account);
+
+        for (const stack of stacks) {
+            const [{pr: root}] = stack;
+            this._addPRSection(account, `${STACK_ICON} ${root.repoName}: ${root.baseRef} (${stack.length})`,
+                stack.map(({pr}) => pr), stack.map(({depth}) => depth));
         }
 
-        if (totalPRs === 0) {
+        if (account.allPRs.length + account.categories.reviewRequested.length === 0) {
             this.menu.addMenuItem(new PopupMenu.PopupMenuItem(
                 'No open PRs', {reactive: false}
             ));
         }
 
-        this._addFooter();
+        for (const search of account.savedSearches) {
+            if (search.error) {
+                this.menu.addMenuItem(new PopupMenu.PopupMenuItem(
+                    `\u26A0\uFE0F ${search.name}: ${search.error.slice(0, 80)}`, {reactive: false}
+                ));
+            } else if (search.prs.length > 0) {
+                this._addPRSection(account, `\u{1F50E} ${search.name} (${search.prs.length})`, search.prs);
+            }
+        }
+
+        this._addRecentlyClosedSection(account);
+        this._addNotificationsSection(account);
+    }
+
+    /**
+     * One section per repository with the user's PRs in it, titled with
+     * how many are in each status category.
+     */
+    _addRepositorySections(account) {
+        const byRepo = new Map();
+        for (const pr of account.allPRs) {
+            if (!byRepo.has(pr.repo))
+                byRepo.set(pr.repo, []);
+            byRepo.get(pr.repo).push(pr);
+        }
+
+        for (const repo of [...byRepo.keys()].sort()) {
+            const prs = byRepo.get(repo);
+            const summary = CATEGORY_META
+                .map(({key, icon}) => [icon, prs.filter(pr => account.categories[key].includes(pr)).length])
+                .filter(([, count]) => count > 0)
+                .map(([icon, count]) => `${icon}${count}`)
+                .join(' ');
+            this._addPRSection(account, `${REPOSITORY_ICON} ${repo} (${prs.length}) \u2014 ${summary}`, prs);
+        }
+    }
+
+    /**
+     * Add a collapsible section listing PRs in the configured sort order,
+     * or in the given order when `depths` gives each PR's indentation.
+     */
+    _addPRSection(account, title, prs, depths = null) {
+        const sorter = PR_SORTERS[this._settings.get_string('sort-order')] ?? PR_SORTERS.updated;
+
+        const categoryItem = new PopupMenu.PopupSubMenuMenuItem(title);
+        this.menu.addMenuItem(categoryItem);
+
+        const ordered = depths ? prs : [...prs].sort(sorter);
+        ordered.forEach((pr, i) => {
+            const prItem = new PRMenuItem(pr, {
+                onAction: action => this._runPRAction(account, pr, action),
+                loadFailures: () => this._loadFailureDetails(account, pr),
+                isSearching: () => !!this._searchEntry?.text.trim(),
+                stale: this._isStale(pr),
+                depth: depths?.[i] ?? 0,
+            });
+            categoryItem.menu.addMenuItem(prItem);
+            categoryItem.menu.addMenuItem(prItem.details);
+            this._searchResults.push({categoryItem, prItem, pr});
+            this._addTimeUpdater(prItem, () => prItem.updateTime(this._isStale(pr)));
+        });
+    }
+
+    _addRecentlyClosedSection(account) {
+        const {recentlyClosed} = account;
+        if (recentlyClosed.length === 0) return;
+
+        const closedItem = new PopupMenu.PopupSubMenuMenuItem(
+            `\u{1F3C1} Recently Merged/Closed (${recentlyClosed.length})`);
+        this.menu.addMenuItem(closedItem);
+        this._searchHiddenItems.push(closedItem);
+
+        for (const pr of recentlyClosed) {
+            const item = new PopupMenu.PopupMenuItem('');
+            const updateTime = () => {
+                const status = pr.merged
+                    ? `merged ${formatAge(pr.closedAt)}${pr.mergedBy ? ` by ${pr.mergedBy}` : ''}`
+                    : `closed ${formatAge(pr.closedAt)}`;
+                item.label.text =
+                    `${pr.merged ? CLOSED_ICONS.merged : CLOSED_ICONS.closed} ${pr.repoName}: ${pr.title} \u2014 ${status}`;
+            };
+            updateTime();
+            this._addTimeUpdater(item, updateTime);
+
+            item.connect('activate', () => Gio.AppInfo.launch_default_for_uri(pr.url, null));
+            closedItem.menu.addMenuItem(item);
+        }
+    }
+
+    _addNotificationsSection(account) {
+        const {notifications} = account;
+        if (notifications.length === 0) return;
+
+        const notificationsItem = new PopupMenu.PopupSubMenuMenuItem('');
+        const updateLabel = () => {
+            notificationsItem.label.text = `\u{1F514} Notifications (${account.notifications.length})`;
+        };
+        updateLabel();
+        this.menu.addMenuItem(notificationsItem);
+        this._searchHiddenItems.push(notificationsItem);
+
+        const shown = notifications.slice(0, MAX_NOTIFICATIONS_SHOWN);
+        for (const notification of shown) {
+            const item = new NotificationMenuItem(notification, async () => {
+                if (await this._markNotificationsRead(account, [notification])) {
+                    item.destroy();
+                    updateLabel();
+                }
+            });
+            notificationsItem.menu.addMenuItem(item);
+            this._addTimeUpdater(item, () => item.updateTime());
+        }
+
+        if (notifications.length > MAX_NOTIFICATIONS_SHOWN) {
+            const moreItem = new PopupMenu.PopupMenuItem(
+                `${notifications.length - MAX_NOTIFICATIONS_SHOWN} more on GitHub\u2026`
+            );
+            moreItem.connect('activate', () => {
+                Gio.AppInfo.launch_default_for_uri(`${account.client.webUrl}/notifications`, null);
+            });
+            notificationsItem.menu.addMenuItem(moreItem);
+        }
+
+        // Only mark what's listed, minus any already marked one by one
+        const markAllItem = new PopupMenu.PopupMenuItem(
+            notifications.length > shown.length ? 'Mark Shown as Read' : 'Mark All as Read');
+        markAllItem.connect('activate', async () => {
+            const unread = shown.filter(n => account.notifications.includes(n));
+            if (await this._markNotificationsRead(account, unread))
+                this._buildMenu();
+        });
+        notificationsItem.menu.addMenuItem(markAllItem);
+    }
+
+    async _runPRAction(account, pr, action) {
+        if (action.confirm && !await confirmAction(action.confirm(pr)))
+            return;
+
+        try {
+            const token = await lookupToken(account.id);
+            if (!token)
+                throw new Error('No token configured');
+
+            await action.run(account.client, token, pr);
+        } catch (e) {
+            console.error(`[GitHub PR Status] Action on ${pr.repo}#${pr.number} failed: ${e.message}`);
+            this._showNotification(`${CI_ICONS.failure} Action failed: ${pr.repo}#${pr.number}`,
+                e.message.slice(0, 200), pr.url);
+        }
+
+        this._refresh({force: true});
+    }
+
+    async _loadFailureDetails(account, pr) {
+        const token = await lookupToken(account.id);
+        if (!token)
+            throw new Error('No token configured');
+
+        return account.client.fetchFailureDetails(token, pr);
+    }
+
+    /**
+     * Mark threads as read on GitHub and drop them from the account's list.
+     * Returns whether it succeeded.
+     */
+    async _markNotificationsRead(account, notifications) {
+        try {
+            const token = await lookupToken(account.id);
+            if (!token) return false;
+
+            await account.client.markThreadsRead(token, notifications.map(n => n.id));
+        } catch (e) {
+            console.error(`[GitHub PR Status] Failed to mark notifications read for ${account.name}: ${e.message}`);
+            return false;
+        }
+
+        const ids = new Set(notifications.map(n => n.id));
+        account.notifications = account.notifications.filter(n => !ids.has(n.id));
+        this._updateBadge();
+        this._dbus?.notifyChanged();
+        return true;
+    }
+
+    /**
+     * Snapshot of every account's data, as served over D-Bus.
+     */
+    _getState() {
+        return this._accounts.map(account => ({
+            account: account.name,
+            host: account.host,
+            error: account.error,
+            notificationError: account.notificationError,
+            lastUpdated: account.lastUpdated ? new Date(account.lastUpdated).toISOString() : null,
+            categories: account.categories,
+            recentlyClosed: account.recentlyClosed,
+            savedSearches: account.savedSearches.map(({name, prs, error}) => ({name, prs, error})),
+            notifications: account.notifications,
+            warnings: account.warnings,
+        }));
     }
 
     _addFooter() {
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
+        this._statusItem = new PopupMenu.PopupMenuItem('', {reactive: false});
+        this._statusItem.add_style_class_name('github-pr-status-line');
+        this.menu.addMenuItem(this._statusItem);
+        this._updateStatusLine();
+
+        this._addAccountIssues();
+
         const refreshItem = new PopupMenu.PopupMenuItem('Refresh Now');
-        refreshItem.connect('activate', () => this._refresh());
+        refreshItem.connect('activate', () => this._refresh({force: true}));
         this.menu.addMenuItem(refreshItem);
 
+        const diagnosticsItem = new PopupMenu.PopupMenuItem('Copy Diagnostics');
+        diagnosticsItem.connect('activate', () => {
+            St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, this._getDiagnostics());
+        });
+        this.menu.addMenuItem(diagnosticsItem);
+
         const prefsItem = new PopupMenu.PopupMenuItem('Preferences');
         prefsItem.connect('activate', () => {
             this._extension.openPreferences();
@@ -157,67 +1161,398 @@ class GitHubPRButton extends PanelMenu.Button {
         this.menu.addMenuItem(prefsItem);
     }
 
-    _updateBadge(count) {
-        if (count > 0) {
-            this._badge.text = count > 99 ? '99+' : `${count}`;
-            this._badge.show();
-        } else {
-            this._badge.hide();
+    /**
+     * Show when the data was last refreshed. Updated in place after every
+     * refresh, since the menu itself is only rebuilt when the data changes.
+     */
+    _updateStatusLine() {
+        if (!this._statusItem)
+            return;
+
+        const updated = this._accounts.map(account => account.lastUpdated).filter(Boolean);
+        const failing = this._accounts.some(account =>
+            (account.error && account.lastUpdated) || account.notificationError);
+        this._statusItem.label.text = updated.length > 0
+            ? `Updated at ${formatTime(Math.min(...updated))}${failing ? ' \u2014 showing old data' : ''}`
+            : 'Not updated yet';
+    }
+
+    /**
+     * List refresh errors for accounts still showing older data (accounts
+     * with no data show the error in their own section), notification
+     * errors, and problems that didn't stop the refresh, such as
+     * organizations needing SSO.
+     */
+    _addAccountIssues() {
+        const showAccountNames = this._accounts.length > 1;
+
+        for (const account of this._accounts) {
+            const prefix = showAccountNames ? `${account.name}: ` : '';
+
+            if (account.error && account.categories)
+                this._addErrorItem(`${prefix}${account.error}`, account.errorStatus === 401);
+
+            if (account.notificationError) {
+                this._addErrorItem(`${prefix}Notifications: ${account.notificationError.message}`,
+                    account.notificationError.status === 401);
+            }
+
+            for (const {message, url, sso} of account.warnings) {
+                const item = new PopupMenu.PopupMenuItem(
+                    `${sso ? '\u{1F510}' : '\u26A0\uFE0F'} ${prefix}${message.slice(0, 80)}`, {reactive: !!url});
+                if (url)
+                    item.connect('activate', () => Gio.AppInfo.launch_default_for_uri(url, null));
+                this.menu.addMenuItem(item);
+            }
         }
     }
 
-    async _getToken() {
-        const token = await Secret.password_lookup(
-            SECRET_SCHEMA,
-            {application: 'github-pr-status'},
-            null,
-        );
-        return token;
+    _addErrorItem(text, unauthorized) {
+        // An expired token is fixed from Preferences
+        const item = new PopupMenu.PopupMenuItem(`\u26A0\uFE0F ${text}`, {reactive: unauthorized});
+        if (unauthorized)
+            item.connect('activate', () => this._extension.openPreferences());
+        this.menu.addMenuItem(item);
+    }
+
+    /**
+     * Plain-text state for bug reports. Contains no tokens.
+     */
+    _getDiagnostics() {
+        const timestamp = time => time ? new Date(time).toISOString() : 'never';
+
+        const lines = [
+            `GitHub PR Status ${this._extension.metadata.version ?? ''}`.trim(),
+            `GNOME Shell ${Config.PACKAGE_VERSION}`,
+            `Online: ${this._online}, sleeping: ${this._sleeping}`,
+        ];
+
+        for (const account of this._accounts) {
+            const {client, lastError} = account;
+            const {rateLimit} = client;
+            lines.push(
+                '',
+                `Account: ${account.name} (${account.host})`,
+                `  Last updated: ${timestamp(account.lastUpdated)}`,
+                `  Current error: ${account.error ?? 'none'}`,
+                `  Notification error: ${account.notificationError?.message ?? 'none'}`,
+                `  Last error: ${lastError ? `${timestamp(lastError.time)} ${lastError.message}` : 'none'}`,
+                `  PR fetch failures: ${account.prBackoff.failures}${account.prBackoff.retryAt ? `, next retry ${timestamp(account.prBackoff.retryAt)}` : ''}`,
+                `  Notification fetch failures: ${account.notificationBackoff.failures}${account.notificationBackoff.retryAt ? `, next retry ${timestamp(account.notificationBackoff.retryAt)}` : ''}`,
+                `  GraphQL rate limit: ${rateLimit ? `${rateLimit.remaining} remaining, resets ${rateLimit.resetAt}` : 'unknown'}`,
+                `  GraphQL rate limited until: ${timestamp(client.resourceRateLimitedUntil('graphql'))}`,
+                `  REST rate limited until: ${timestamp(client.resourceRateLimitedUntil('core'))}`,
+                `  Open PRs: ${account.allPRs?.length ?? 'not loaded'}, awaiting review: ${account.categories?.reviewRequested.length ?? 'not loaded'}, notifications: ${account.notifications.length}`,
+            );
+            for (const {message, url} of account.warnings)
+                lines.push(`  Warning: ${message}${url ? ` (${url})` : ''}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Update the badge and icon for the configured indicator mode.
+     */
+    _updateBadge() {
+        const mode = this._settings.get_string('indicator-mode');
+        const prs = this._accounts.flatMap(account => account.allPRs ?? []);
+
+        const ciStatus = mode === 'ci-state' ? aggregateCiStatus(prs) : null;
+        for (const status of ['success', 'failure', 'pending']) {
+            if (status === ciStatus)
+                this._icon.add_style_class_name(`github-pr-ci-${status}`);
+            else
+                this._icon.remove_style_class_name(`github-pr-ci-${status}`);
+        }
+
+        switch (mode) {
+        case 'action-needed':
+            this._setBadgeCount(this._accounts.reduce((n, account) => n + countActionNeeded(account), 0));
+            break;
+        case 'failing-ci':
+            this._setBadgeCount(prs.filter(pr => pr.ciStatus === 'failure').length);
+            break;
+        case 'ci-state':
+            this._setBadgeCount(0);
+            break;
+        case 'ci-summary':
+            this._setBadgeText(ciSummary(prs), 'github-pr-summary');
+            break;
+        default:
+            this._setBadgeCount(this._notificationBadgeCount());
+        }
+    }
+
+    _notificationBadgeCount() {
+        const countReviews = this._settings.get_boolean('badge-review-requests');
+
+        let count = 0;
+        for (const account of this._accounts) {
+            count += account.notifications.length;
+            if (countReviews)
+                count += account.categories?.reviewRequested?.length ?? 0;
+            for (const search of account.savedSearches) {
+                if (search.countInBadge)
+                    count += search.prs.length;
+            }
+        }
+        return count;
+    }
+
+    _setBadgeCount(count) {
+        this._setBadgeText(count > 99 ? '99+' : count > 0 ? `${count}` : '', 'github-pr-badge');
+    }
+
+    _setBadgeText(text, styleClass) {
+        this._badge.style_class = styleClass;
+        this._badge.text = text;
+        this._badge.visible = text !== '';
+    }
+
+    /**
+     * Sync this._accounts with the accounts setting, keeping the client
+     * and last results of any account whose host hasn't changed.
+     */
+    _loadAccounts() {
+        const previous = new Map(this._accounts.map(a => [a.id, a]));
+
+        this._accounts = getAccounts(this._settings).map(({id, name, host}) => {
+            const existing = previous.get(id);
+            if (existing?.host === host) {
+                previous.delete(id);
+                existing.name = name;
+                return existing;
+            }
+
+            const client = new GitHubClient(host);
+            client.setRepositoryFilters(...this._getRepositoryFilters());
+
+            return {
+                id,
+                name,
+                host,
+                client,
+                categories: null,
+                allPRs: null,
+                recentlyClosed: [],
+                savedSearches: [],
+                notifications: [],
+                error: null,
+                errorStatus: null,
+                notificationError: null,
+                // PRs and notifications back off separately, so a token
+                // that can't read notifications still polls PRs normally
+                prBackoff: {failures: 0, retryAt: 0},
+                notificationBackoff: {failures: 0, retryAt: 0},
+                lastUpdated: 0,
+                lastError: null,
+                warnings: [],
+            };
+        });
+
+        for (const account of previous.values())
+            account.client.destroy();
+    }
+
+    _getRepositoryFilters() {
+        return [
+            this._settings.get_strv('repository-include'),
+            this._settings.get_strv('repository-exclude'),
+        ];
+    }
+
+    _onRepositoryFiltersChanged() {
+        const filters = this._getRepositoryFilters();
+        for (const account of this._accounts)
+            account.client.setRepositoryFilters(...filters);
+        this._refresh();
+    }
+
+    _onAccountsChanged() {
+        this._loadAccounts();
+        this._buildMenu();
+        this._updateBadge();
+        this._refresh();
     }
 
-    async _refresh() {
+    /**
+     * Refresh every account. PR or notification fetches backing off after
+     * errors are skipped unless `force` is set; rate limits are always
+     * respected by the client.
+     *
+     * Each client's PR cache and warnings belong to one refresh at a time,
+     * so a refresh requested while one is running is queued, and any
+     * further requests are folded into that one.
+     */
+    async _refresh({force = false} = {}) {
+        if (this._refreshing) {
+            this._queuedRefresh = {force: force || (this._queuedRefresh?.force ?? false)};
+            return;
+        }
+
+        this._refreshing = true;
+        try {
+            await Promise.all(this._accounts.map(account => this._refreshAccount(account, force)));
+        } finally {
+            this._refreshing = false;
+        }
+
+        if (this._destroyed)
+            return;
+
+        // Most refreshes change nothing; don't rebuild the menu for those
+        if (this._menuSnapshot() !== this._builtSnapshot)
+            this._buildMenu();
+        this._updateStatusLine();
+        this._updateTimes();
+        this._updateBadge();
+        this._dbus?.notifyChanged();
+
+        const queued = this._queuedRefresh;
+        this._queuedRefresh = null;
+        if (queued)
+            this._refresh(queued);
+    }
+
+    async _refreshAccount(account, force) {
+        const now = Date.now();
+        const fetchPRs = force || now >= account.prBackoff.retryAt;
+        const fetchNotifications = force || now >= account.notificationBackoff.retryAt;
+        if (!fetchPRs && !fetchNotifications)
+            return;
+
         let token;
         try {
-            token = await this._getToken();
+            token = await lookupToken(account.id);
         } catch (e) {
-            console.error(`[GitHub PR Status] Failed to read token: ${e.message}`);
-            this._buildMenuError('Failed to read token from keyring');
+            console.error(`[GitHub PR Status] Failed to read token for ${account.name}: ${e.message}`);
+            account.error = 'Failed to read token from keyring';
+            account.errorStatus = null;
+            account.lastError = {message: e.message, status: null, time: Date.now()};
             return;
         }
 
         if (!token) {
-            this._buildMenuError('No token configured \u2014 open Preferences');
-            this._updateBadge(0);
+            account.error = 'No token configured \u2014 open Preferences';
+            account.errorStatus = null;
+            account.categories = null;
+            account.allPRs = null;
+            account.recentlyClosed = [];
+            account.savedSearches = [];
+            account.notifications = [];
+            account.notificationError = null;
             return;
         }
 
+        if (fetchPRs)
+            await this._refreshPullRequests(account, token);
+        if (fetchNotifications)
+            await this._refreshNotifications(account, token);
+    }
+
+    async _refreshPullRequests(account, token) {
         try {
-            const {categories} = await this._client.fetchPullRequests(token);
-            this._lastCategories = categories;
-            this._buildMenu(categories);
+            const result = await account.client.fetchPullRequests(token, getSavedSearches(this._settings), {
+                unresolvedCategory: this._settings.get_boolean('unresolved-category'),
+                recentDays: this._settings.get_int('recent-days'),
+            });
+            if (account.allPRs)
+                this._notifyTransitions(findTransitions(account, result));
+            account.categories = result.categories;
+            account.allPRs = result.allPRs;
+            account.recentlyClosed = result.recentlyClosed;
+            account.savedSearches = result.savedSearches;
+            account.error = null;
+            account.errorStatus = null;
+            account.lastUpdated = Date.now();
+            resetBackoff(account.prBackoff);
         } catch (e) {
-            console.error(`[GitHub PR Status] PR fetch failed: ${e.message}`);
-            if (!this._lastCategories) {
-                this._buildMenuError(`Error: ${e.message.slice(0, 80)}`);
-            }
+            console.error(`[GitHub PR Status] PR fetch failed for ${account.name}: ${e.message}`);
+            account.error = e.unauthorized
+                ? 'Token expired or revoked \u2014 sign in again in Preferences'
+                : `Error: ${e.message.slice(0, 80)}`;
+            account.errorStatus = e.status ?? null;
+            account.lastError = {message: e.message, status: e.status ?? null, time: Date.now()};
+            backOff(account.prBackoff, e, account.client.resourceRateLimitedUntil('graphql'));
         }
 
+        account.warnings = account.client.warnings;
+    }
+
+    async _refreshNotifications(account, token) {
         try {
             const filters = this._settings.get_strv('notification-filters');
-            const count = await this._client.fetchNotifications(token, filters);
-            if (count >= 0) {
-                this._lastNotificationCount = count;
-                this._updateBadge(count);
-            }
+            const notifications = await account.client.fetchNotifications(token, filters);
+            if (notifications)
+                account.notifications = notifications;
+            account.notificationError = null;
+            resetBackoff(account.notificationBackoff);
         } catch (e) {
-            console.error(`[GitHub PR Status] Notification fetch failed: ${e.message}`);
+            console.error(`[GitHub PR Status] Notification fetch failed for ${account.name}: ${e.message}`);
+            account.lastError = {message: e.message, status: e.status ?? null, time: Date.now()};
+            account.notificationError = {
+                message: e.unauthorized
+                    ? 'token expired or revoked \u2014 sign in again in Preferences'
+                    : e.message.slice(0, 80),
+                status: e.status ?? null,
+            };
+            backOff(account.notificationBackoff, e, account.client.resourceRateLimitedUntil('core'));
         }
     }
 
+    _notifyTransitions(transitions) {
+        const enabled = this._settings.get_strv('state-change-notifications');
+
+        for (const {type, pr} of transitions) {
+            if (!enabled.includes(type)) continue;
+
+            const {label, icon} = TRANSITION_META[type];
+            this._showNotification(`${icon} ${label}: ${pr.repo}#${pr.number}`, pr.title, pr.url);
+        }
+    }
+
+    _getNotificationSource() {
+        if (this._notificationSource)
+            return this._notificationSource;
+
+        const title = 'GitHub PR Status';
+        this._notificationSource = SHELL_MAJOR_VERSION >= 46
+            ? new MessageTray.Source({title, icon: this._gicon})
+            : new MessageTray.Source(title, 'dialog-information-symbolic');
+        this._notificationSource.connect('destroy', () => {
+            this._notificationSource = null;
+        });
+        Main.messageTray.add(this._notificationSource);
+
+        return this._notificationSource;
+    }
+
+    _showNotification(title, body, url) {
+        const source = this._getNotificationSource();
+
+        let notification;
+        if (SHELL_MAJOR_VERSION >= 46) {
+            notification = new MessageTray.Notification({source, title, body, gicon: this._gicon});
+        } else {
+            notification = new MessageTray.Notification(source, title, body, {gicon: this._gicon});
+        }
+
+        notification.connect('activated', () => {
+            Gio.AppInfo.launch_default_for_uri(url, null);
+        });
+
+        if (SHELL_MAJOR_VERSION >= 46)
+            source.addNotification(notification);
+        else
+            source.showNotification(notification);
+    }
+
     _startTimer() {
         const interval = this._settings.get_int('refresh-interval');
         this._timerId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, interval, () => {
-            this._refresh();
+            if (!this._isPaused())
+                this._refresh();
             return GLib.SOURCE_CONTINUE;
         });
     }
@@ -231,17 +1566,31 @@ class GitHubPRButton extends PanelMenu.Button {
     }
 
     destroy() {
+        this._destroyed = true;
+
         if (this._timerId) {
             GLib.source_remove(this._timerId);
             this._timerId = null;
         }
 
+        Main.wm.removeKeybinding('toggle-menu');
+
+        this._dbus.destroy();
+        this._dbus = null;
+
         for (const id of this._settingsConnections)
             this._settings.disconnect(id);
         this._settingsConnections = [];
 
-        this._client?.destroy();
-        this._client = null;
+        this._networkMonitor.disconnect(this._networkChangedId);
+        Gio.DBus.system.signal_unsubscribe(this._prepareForSleepId);
+
+        for (const account of this._accounts)
+            account.client.destroy();
+        this._accounts = [];
+
+        this._notificationSource?.destroy();
+        this._notificationSource = null;
 
         super.destroy();
     }
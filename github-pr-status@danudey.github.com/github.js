@@ -2,44 +2,379 @@ import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import Soup from 'gi://Soup?version=3.0';
 
-const GRAPHQL_URL = 'https://api.github.com/graphql';
-const NOTIFICATIONS_URL = 'https://api.github.com/notifications';
+const DEFAULT_HOST = 'github.com';
 
 // Promisify Soup3 once at module load
 Gio._promisify(Soup.Session.prototype, 'send_and_read_async', 'send_and_read_finish');
 
-const PR_QUERY = `query {
+// mergeStateStatus is still behind a schema preview
+const GRAPHQL_ACCEPT = 'application/vnd.github.merge-info-preview+json';
+
+// Scopes the extension needs from a classic token or OAuth grant
+export const REQUIRED_SCOPES = ['repo', 'notifications'];
+
+// Upper bound on pages fetched for any single connection
+const MAX_PAGES = 10;
+
+const PAGE_INFO = 'pageInfo { hasNextPage, endCursor }';
+
+// Added to every query so the client can see its GraphQL budget
+const RATE_LIMIT = 'rateLimit { cost, remaining, resetAt }';
+
+// How long to stay away after a secondary rate limit that gave no hint
+const DEFAULT_RETRY_SECONDS = 60;
+
+// GitHub's separately budgeted rate-limit resources (X-RateLimit-Resource)
+// that the client uses: GraphQL for PRs, core REST for notifications
+const RATE_LIMIT_RESOURCES = ['graphql', 'core'];
+
+const REVIEW_FIELDS = `fragment ReviewFields on PullRequestReview {
+  state
+  author { login, ... on User { id } }
+}`;
+
+const CONTEXT_FIELDS = `fragment ContextFields on StatusCheckRollupContext {
+  ... on CheckRun { id, name, status, conclusion, detailsUrl, checkSuite { id } }
+  ... on StatusContext { context, state, targetUrl, description }
+}`;
+
+// Fields shared by every query that returns pull requests
+const PR_FIELDS = `fragment PRFields on PullRequest {
+  id
+  number
+  title
+  url
+  isDraft
+  baseRefName
+  headRefName
+  isCrossRepository
+  createdAt
+  updatedAt
+  author { login }
+  repository {
+    id
+    name
+    owner { login }
+    mergeCommitAllowed
+    squashMergeAllowed
+    rebaseMergeAllowed
+    autoMergeAllowed
+    viewerDefaultMergeMethod
+  }
+  reviewDecision
+  mergeable
+  mergeStateStatus
+  autoMergeRequest { mergeMethod }
+  mergeQueueEntry { position }
+  reviews(first: 100) { ${PAGE_INFO} nodes { ...ReviewFields } }
+  reviewThreads(first: 100) { ${PAGE_INFO} nodes { isResolved } }
+  commits(last: 1) {
+    nodes {
+      commit {
+        statusCheckRollup {
+          state
+          contexts(first: 100) { ${PAGE_INFO} nodes { ...ContextFields } }
+        }
+      }
+    }
+  }
+}
+${REVIEW_FIELDS}
+${CONTEXT_FIELDS}`;
+
+// Just enough of a PR to tell whether it changed since the last refresh
+const PR_SUMMARY_FIELDS = `fragment PRSummaryFields on PullRequest {
+  id
+  updatedAt
+  headRefOid
+  reviewDecision
+  mergeable
+  mergeStateStatus
+  mergeQueueEntry { position }
+  reviewThreads(first: 100) { nodes { isResolved } }
+  commits(last: 1) {
+    nodes {
+      commit {
+        statusCheckRollup {
+          state
+          # The counts cover every context; no nodes are fetched
+          contexts(first: 1) {
+            checkRunCountsByState { state, count }
+            statusContextCountsByState { state, count }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// PRs whose full details are fetched per query
+const DETAILS_BATCH_SIZE = 50;
+
+// review-requested:@me also matches requests made to any team the viewer belongs to
+const REVIEW_REQUESTED_SEARCH = 'is:pr is:open archived:false review-requested:@me';
+
+const VIEWER_PRS_QUERY = `query($cursor: String) {
+  ${RATE_LIMIT}
   viewer {
-    pullRequests(first: 100, states: OPEN, orderBy: {field: UPDATED_AT, direction: DESC}) {
-      nodes {
+    pullRequests(first: 100, after: $cursor, states: OPEN, orderBy: {field: UPDATED_AT, direction: DESC}) {
+      ${PAGE_INFO}
+      nodes { ...PRSummaryFields }
+    }
+  }
+}
+${PR_SUMMARY_FIELDS}`;
+
+const SEARCH_PRS_QUERY = `query($search: String!, $cursor: String) {
+  ${RATE_LIMIT}
+  search(query: $search, type: ISSUE, first: 100, after: $cursor) {
+    ${PAGE_INFO}
+    nodes { ...PRSummaryFields }
+  }
+}
+${PR_SUMMARY_FIELDS}`;
+
+const PR_DETAILS_QUERY = `query($ids: [ID!]!) {
+  ${RATE_LIMIT}
+  nodes(ids: $ids) { ...PRFields }
+}
+${PR_FIELDS}`;
+
+const REVIEWS_PAGE_QUERY = `query($id: ID!, $cursor: String) {
+  ${RATE_LIMIT}
+  node(id: $id) {
+    ... on PullRequest {
+      reviews(first: 100, after: $cursor) { ${PAGE_INFO} nodes { ...ReviewFields } }
+    }
+  }
+}
+${REVIEW_FIELDS}`;
+
+const REVIEW_THREADS_PAGE_QUERY = `query($id: ID!, $cursor: String) {
+  ${RATE_LIMIT}
+  node(id: $id) {
+    ... on PullRequest {
+      reviewThreads(first: 100, after: $cursor) { ${PAGE_INFO} nodes { isResolved } }
+    }
+  }
+}`;
+
+const CONTEXTS_PAGE_QUERY = `query($id: ID!, $cursor: String) {
+  ${RATE_LIMIT}
+  node(id: $id) {
+    ... on PullRequest {
+      commits(last: 1) {
+        nodes {
+          commit {
+            statusCheckRollup {
+              contexts(first: 100, after: $cursor) { ${PAGE_INFO} nodes { ...ContextFields } }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+${CONTEXT_FIELDS}`;
+
+const RECENTLY_CLOSED_QUERY = `query($search: String!, $cursor: String) {
+  ${RATE_LIMIT}
+  search(query: $search, type: ISSUE, first: 50, after: $cursor) {
+    ${PAGE_INFO}
+    nodes {
+      ... on PullRequest {
+        id
         number
         title
         url
-        isDraft
-        updatedAt
+        state
+        closedAt
+        mergedAt
+        mergedBy { login }
         repository { name, owner { login } }
-        reviewDecision
-        reviews(last: 10) { nodes { state, author { login } } }
-        commits(last: 1) {
-          nodes {
-            commit {
-              statusCheckRollup {
-                state
-                contexts(first: 30) {
-                  nodes {
-                    ... on CheckRun { name, status, conclusion, detailsUrl }
-                    ... on StatusContext { context, state, targetUrl }
-                  }
-                }
-              }
-            }
-          }
-        }
       }
     }
   }
 }`;
 
+// Annotations fetched per failing check run
+const MAX_ANNOTATIONS = 5;
+
+const CHECK_RUN_DETAILS_QUERY = `query($ids: [ID!]!) {
+  ${RATE_LIMIT}
+  nodes(ids: $ids) {
+    ... on CheckRun {
+      id
+      title
+      summary
+      annotations(first: ${MAX_ANNOTATIONS}) {
+        nodes { path, message, location { start { line } } }
+      }
+    }
+  }
+}`;
+
+const MERGE_MUTATION = `mutation($id: ID!, $method: PullRequestMergeMethod!) {
+  mergePullRequest(input: {pullRequestId: $id, mergeMethod: $method}) { clientMutationId }
+}`;
+
+const AUTO_MERGE_MUTATION = `mutation($id: ID!, $method: PullRequestMergeMethod!) {
+  enablePullRequestAutoMerge(input: {pullRequestId: $id, mergeMethod: $method}) { clientMutationId }
+}`;
+
+const READY_FOR_REVIEW_MUTATION = `mutation($id: ID!) {
+  markPullRequestReadyForReview(input: {pullRequestId: $id}) { clientMutationId }
+}`;
+
+const RERUN_CHECK_SUITE_MUTATION = `mutation($repositoryId: ID!, $checkSuiteId: ID!) {
+  rerequestCheckSuite(input: {repositoryId: $repositoryId, checkSuiteId: $checkSuiteId}) { clientMutationId }
+}`;
+
+const REQUEST_REVIEWS_MUTATION = `mutation($id: ID!, $userIds: [ID!]) {
+  requestReviews(input: {pullRequestId: $id, userIds: $userIds, union: true}) { clientMutationId }
+}`;
+
+/**
+ * Error raised for failed API calls. `retryAt` (ms since the epoch) is set
+ * when the failure was a rate limit and says when to try again.
+ */
+export class GitHubError extends Error {
+    constructor(message, {status = null, retryAt = null, ssoUrl = null} = {}) {
+        super(message);
+        this.name = 'GitHubError';
+        this.status = status;
+        this.retryAt = retryAt;
+        this.ssoUrl = ssoUrl;
+    }
+
+    get rateLimited() {
+        return this.retryAt !== null;
+    }
+
+    // The token was rejected: expired, revoked or mistyped
+    get unauthorized() {
+        return this.status === 401;
+    }
+}
+
+/**
+ * Build the API base URLs for a GitHub host. github.com uses the
+ * api.github.com subdomain; GitHub Enterprise Server serves GraphQL
+ * from /api/graphql and REST from /api/v3 on the instance itself.
+ */
+function apiUrlsForHost(host) {
+    host = (host || DEFAULT_HOST)
+        .trim()
+        .replace(/^https?:\/\//, '')
+        .replace(/\/+$/, '');
+
+    if (host === DEFAULT_HOST || host === 'api.github.com') {
+        return {
+            graphql: 'https://api.github.com/graphql',
+            rest: 'https://api.github.com',
+            web: 'https://github.com',
+        };
+    }
+
+    return {
+        graphql: `https://${host}/api/graphql`,
+        rest: `https://${host}/api/v3`,
+        web: `https://${host}`,
+    };
+}
+
+/**
+ * Resolve after the given number of seconds, or early if cancelled.
+ */
+function sleep(seconds, cancellable) {
+    return new Promise(resolve => {
+        let cancelId = 0;
+        const timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+            if (cancelId)
+                cancellable.disconnect(cancelId);
+            resolve();
+            return GLib.SOURCE_REMOVE;
+        });
+        if (cancellable) {
+            cancelId = cancellable.connect(() => {
+                GLib.source_remove(timeoutId);
+                resolve();
+            });
+        }
+    });
+}
+
+/**
+ * Compile an owner/repo glob into a case-insensitive RegExp. `*` matches
+ * within one path segment and a bare owner matches all of its repositories.
+ */
+function repoPatternToRegExp(pattern) {
+    if (!pattern.includes('/'))
+        pattern = `${pattern}/*`;
+
+    const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Build a predicate over "owner/repo" names. A repository passes if it
+ * matches an include pattern (or there are none) and no exclude pattern.
+ */
+function compileRepoFilter(include = [], exclude = []) {
+    const includes = include.map(p => p.trim()).filter(Boolean).map(repoPatternToRegExp);
+    const excludes = exclude.map(p => p.trim()).filter(Boolean).map(repoPatternToRegExp);
+
+    return repo => (includes.length === 0 || includes.some(re => re.test(repo))) &&
+        !excludes.some(re => re.test(repo));
+}
+
+/**
+ * Make a user-supplied search return open PRs unless it already says
+ * which type or state it wants.
+ */
+function scopeSearchToPRs(query) {
+    const qualifiers = [];
+    if (!/\b(is|type):(pr|pull-request)\b/i.test(query))
+        qualifiers.push('is:pr');
+    if (!/\b(is|state):(open|closed|merged|unmerged)\b/i.test(query))
+        qualifiers.push('is:open');
+    return [...qualifiers, query].join(' ');
+}
+
+/**
+ * Key that changes whenever anything shown for a PR does: new commits,
+ * reviews and comments bump updatedAt, and CI, mergeability and resolved
+ * threads are compared directly since they change without touching the PR.
+ * CI is compared by how many checks are in each state, since the overall
+ * state often stays the same while individual checks finish.
+ */
+function prFingerprint(node) {
+    const rollup = node.commits?.nodes?.[0]?.commit?.statusCheckRollup;
+    const checkCounts = [
+        ...rollup?.contexts?.checkRunCountsByState ?? [],
+        ...rollup?.contexts?.statusContextCountsByState ?? [],
+    ].map(({state, count}) => `${state}:${count}`);
+
+    return [
+        node.updatedAt,
+        node.headRefOid,
+        rollup?.state,
+        checkCounts.join(','),
+        node.reviewDecision,
+        node.mergeable,
+        node.mergeStateStatus,
+        node.mergeQueueEntry?.position,
+        countUnresolvedThreads(node),
+    ].join('|');
+}
+
+function countUnresolvedThreads(node) {
+    return (node.reviewThreads?.nodes ?? []).filter(thread => !thread.isResolved).length;
+}
+
 /**
  * Normalize a single PR node from the GraphQL response into a flat object.
  */
@@ -56,6 +391,9 @@ function normalizePR(node) {
                     ? (ctx.conclusion === 'SUCCESS' ? 'success' : 'failure')
                     : 'pending',
                 url: ctx.detailsUrl,
+                checkRunId: ctx.id,
+                checkSuiteId: ctx.checkSuite?.id ?? null,
+                description: null,
             };
         }
         // StatusContext
@@ -65,6 +403,9 @@ function normalizePR(node) {
                 : ctx.state === 'FAILURE' || ctx.state === 'ERROR' ? 'failure'
                 : 'pending',
             url: ctx.targetUrl,
+            checkRunId: null,
+            checkSuiteId: null,
+            description: ctx.description ?? null,
         };
     });
 
@@ -72,9 +413,20 @@ function normalizePR(node) {
     const reviewMap = new Map();
     for (const r of (node.reviews?.nodes ?? [])) {
         if (r.author?.login)
-            reviewMap.set(r.author.login, r.state);
+            reviewMap.set(r.author.login, {state: r.state, id: r.author.id ?? null});
     }
-    const reviewers = [...reviewMap.entries()].map(([login, state]) => ({login, state}));
+    const reviewers = [...reviewMap.entries()].map(([login, {state, id}]) => ({login, state, id}));
+
+    // Prefer the viewer's default merge method if the repository allows it
+    const repo = node.repository;
+    const allowedMethods = [
+        repo.squashMergeAllowed && 'SQUASH',
+        repo.mergeCommitAllowed && 'MERGE',
+        repo.rebaseMergeAllowed && 'REBASE',
+    ].filter(Boolean);
+    const mergeMethod = allowedMethods.includes(repo.viewerDefaultMergeMethod)
+        ? repo.viewerDefaultMergeMethod
+        : allowedMethods[0] ?? null;
 
     // Overall CI status
     let ciStatus = 'none';
@@ -86,27 +438,98 @@ function normalizePR(node) {
     }
 
     return {
+        id: node.id,
         number: node.number,
         title: node.title,
         url: node.url,
         isDraft: node.isDraft,
+        createdAt: node.createdAt,
         updatedAt: node.updatedAt,
+        author: node.author?.login ?? null,
         repo: `${node.repository.owner.login}/${node.repository.name}`,
         repoName: node.repository.name,
+        repositoryId: node.repository.id,
+        baseRef: node.baseRefName,
+        headRef: node.headRefName,
+        isCrossRepository: node.isCrossRepository, // head branch lives in a fork
         reviewDecision: node.reviewDecision, // APPROVED, CHANGES_REQUESTED, REVIEW_REQUIRED, or null
         reviewers,
         ciStatus,
         checks,
+        unresolvedThreads: countUnresolvedThreads(node),
+        mergeable: node.mergeable, // MERGEABLE, CONFLICTING or UNKNOWN
+        mergeStateStatus: node.mergeStateStatus, // CLEAN, BLOCKED, BEHIND, DIRTY, UNSTABLE, ...
+        hasConflicts: node.mergeable === 'CONFLICTING',
+        autoMergeMethod: node.autoMergeRequest?.mergeMethod ?? null,
+        mergeQueuePosition: node.mergeQueueEntry?.position ?? null,
+        mergeMethod, // SQUASH, MERGE, REBASE, or null if none is allowed
+        autoMergeAllowed: repo.autoMergeAllowed,
+    };
+}
+
+/**
+ * Whether an approved PR can actually be merged now: CI is green (or there
+ * is none) and GitHub reports a clean merge state.
+ */
+function isReadyToMerge(pr) {
+    return pr.reviewDecision === 'APPROVED' &&
+        (pr.ciStatus === 'success' || pr.ciStatus === 'none') &&
+        (pr.mergeStateStatus === 'CLEAN' || pr.mergeStateStatus === 'HAS_HOOKS');
+}
+
+/**
+ * Normalize a merged or closed PR. `closedAt` is the merge time for merged PRs.
+ */
+function normalizeClosedPR(node) {
+    const merged = node.state === 'MERGED';
+    return {
+        id: node.id,
+        number: node.number,
+        title: node.title,
+        url: node.url,
+        repo: `${node.repository.owner.login}/${node.repository.name}`,
+        repoName: node.repository.name,
+        merged,
+        closedAt: merged ? node.mergedAt : node.closedAt,
+        mergedBy: node.mergedBy?.login ?? null,
+    };
+}
+
+/**
+ * Normalize a REST notification thread into a flat object. `url` is the
+ * web page for the thread's subject, falling back to the repository.
+ */
+function normalizeNotification(thread, urls) {
+    let url = thread.repository?.html_url ?? null;
+
+    // subject.url is an API URL such as <rest>/repos/o/r/pulls/1
+    const subjectUrl = thread.subject?.url;
+    if (subjectUrl?.startsWith(`${urls.rest}/repos/`)) {
+        url = urls.web + subjectUrl.slice(`${urls.rest}/repos`.length)
+            .replace(/\/pulls\/(\d+)$/, '/pull/$1')
+            .replace(/\/commits\/(\w+)$/, '/commit/$1');
+    }
+
+    return {
+        id: thread.id,
+        title: thread.subject?.title ?? '',
+        type: thread.subject?.type ?? null, // PullRequest, Issue, Release, ...
+        repo: thread.repository?.full_name ?? '',
+        reason: thread.reason,
+        updatedAt: thread.updated_at,
+        url,
     };
 }
 
 /**
  * Categorize an array of normalized PRs into buckets.
  */
-function categorizePRs(prs) {
+function categorizePRs(prs, {unresolvedCategory = false} = {}) {
     const categories = {
+        readyToMerge: [],
         approved: [],
         changesRequested: [],
+        unresolved: [],
         reviewRequired: [],
         draft: [],
     };
@@ -114,6 +537,10 @@ function categorizePRs(prs) {
     for (const pr of prs) {
         if (pr.isDraft) {
             categories.draft.push(pr);
+        } else if (unresolvedCategory && pr.unresolvedThreads > 0) {
+            categories.unresolved.push(pr);
+        } else if (isReadyToMerge(pr)) {
+            categories.readyToMerge.push(pr);
         } else if (pr.reviewDecision === 'APPROVED') {
             categories.approved.push(pr);
         } else if (pr.reviewDecision === 'CHANGES_REQUESTED') {
@@ -127,10 +554,120 @@ function categorizePRs(prs) {
 }
 
 export default class GitHubClient {
-    constructor() {
+    /**
+     * @param {string} [host] - github.com or a GitHub Enterprise Server hostname
+     */
+    constructor(host = DEFAULT_HOST) {
         this._session = new Soup.Session();
         this._session.set_user_agent('gnome-shell-github-pr-status/1');
+        this._urls = apiUrlsForHost(host);
+        this._notificationsUrl = `${this._urls.rest}/notifications`;
+        this.webUrl = this._urls.web;
+        this._tokenSettingsUrl = `${this._urls.web}/settings/tokens`;
         this._lastNotificationPoll = null;
+        this._nextNotificationPoll = 0;
+        // Unfiltered threads from the last notifications poll that changed
+        this._notificationThreads = null;
+        this._rateLimitedUntil = new Map(); // resource -> ms since the epoch
+        this.rateLimit = null;
+        this._repoFilter = compileRepoFilter();
+
+        // Problems that didn't stop a refresh, by message
+        this._warnings = new Map();
+
+        // Normalized PRs by node id, with the fingerprint they were fetched at
+        this._prCache = new Map();
+        this._seenPRIds = new Set();
+    }
+
+    /**
+     * Limit PRs and notifications to repositories matching the given
+     * owner/repo glob patterns.
+     */
+    setRepositoryFilters(include, exclude) {
+        this._repoFilter = compileRepoFilter(include, exclude);
+    }
+
+    /**
+     * When any resource is rate limited, the latest time (ms since the
+     * epoch) requests to it may resume; otherwise null.
+     */
+    get rateLimitedUntil() {
+        const until = Math.max(0, ...this._rateLimitedUntil.values());
+        return until > Date.now() ? until : null;
+    }
+
+    /**
+     * Like rateLimitedUntil, for one resource: 'graphql' or 'core'.
+     */
+    resourceRateLimitedUntil(resource) {
+        const until = this._rateLimitedUntil.get(resource) ?? 0;
+        return until > Date.now() ? until : null;
+    }
+
+    /**
+     * Block requests to `resources` until `time`. Secondary rate limits
+     * count requests to every API, so they block all resources.
+     */
+    _blockUntil(time, resources = RATE_LIMIT_RESOURCES) {
+        for (const resource of resources)
+            this._rateLimitedUntil.set(resource, Math.max(this._rateLimitedUntil.get(resource) ?? 0, time));
+    }
+
+    /**
+     * Record rate-limit headers. X-RateLimit-* describe the budget named by
+     * X-RateLimit-Resource; Retry-After is a secondary limit.
+     */
+    _trackRateLimitHeaders(headers, resource) {
+        const retryAfter = headers.get_one('Retry-After');
+        const remaining = headers.get_one('X-RateLimit-Remaining');
+        const reset = headers.get_one('X-RateLimit-Reset');
+
+        if (retryAfter) {
+            this._blockUntil(Date.now() + Number(retryAfter) * 1000);
+        } else if (remaining === '0' && reset) {
+            this._blockUntil(Number(reset) * 1000,
+                [headers.get_one('X-RateLimit-Resource') ?? resource]);
+        }
+    }
+
+    /**
+     * Problems since the last fetchPullRequests() that didn't fail it:
+     * [{message, url, sso}]. `url` is where the user can fix it, if known;
+     * `sso` marks organizations whose SAML SSO hides data from the token.
+     */
+    get warnings() {
+        return [...this._warnings.values()];
+    }
+
+    _addWarning(message, {url = null, sso = false} = {}) {
+        this._warnings.set(message, {message, url, sso});
+    }
+
+    /**
+     * Note organizations that need SAML SSO authorization for this token.
+     * A refused request names the organization via its authorization URL;
+     * trimmed results only list organization ids. Returns the authorization
+     * URL if there is one.
+     */
+    _trackSSOHeader(headers) {
+        const sso = headers.get_one('X-GitHub-SSO');
+        if (!sso)
+            return null;
+
+        const url = sso.match(/url=(\S+)/)?.[1] ?? null;
+        if (url) {
+            const org = url.match(/\/orgs\/([^/]+)\/sso/)?.[1] ?? 'an organization';
+            this._addWarning(`SAML SSO authorization required for ${org}`, {url, sso: true});
+            return url;
+        }
+
+        const orgIds = sso.match(/organizations=([\w,]+)/)?.[1].split(',') ?? [];
+        if (orgIds.length > 0) {
+            this._addWarning(`SAML SSO authorization required for ${orgIds.length} organization(s)`,
+                {url: this._tokenSettingsUrl, sso: true});
+        }
+        return null;
     }
 
     destroy() {
@@ -141,39 +678,77 @@ export default class GitHubClient {
     /**
      * Execute a GraphQL or REST request and return parsed JSON.
      */
-    async _request(url, token, {method = 'GET', body = null} = {}) {
+    async _request(url, token, {method = 'GET', body = null, accept = 'application/json', includeHeaders = false} = {}) {
+        // Don't spend requests we know will be rejected
+        const resource = url === this._urls.graphql ? 'graphql' : 'core';
+        const retryAt = this.resourceRateLimitedUntil(resource);
+        if (retryAt)
+            throw new GitHubError('Rate limited', {retryAt});
+
         const message = Soup.Message.new(method, url);
-        message.get_request_headers().append('Authorization', `Bearer ${token}`);
-        message.get_request_headers().append('Accept', 'application/json');
+        if (token)
+            message.get_request_headers().append('Authorization', `Bearer ${token}`);
+        message.get_request_headers().append('Accept', accept);
 
         if (body) {
             const bytes = new GLib.Bytes(new TextEncoder().encode(JSON.stringify(body)));
             message.set_request_body_from_bytes('application/json', bytes);
         }
 
-        if (method === 'GET' && url.startsWith(NOTIFICATIONS_URL) && this._lastNotificationPoll) {
+        const isNotificationPoll = method === 'GET' && url.startsWith(this._notificationsUrl);
+        if (isNotificationPoll && this._lastNotificationPoll) {
             message.get_request_headers().append('If-Modified-Since', this._lastNotificationPoll);
         }
 
         const inputStream = await this._sendAsync(message);
         const statusCode = message.get_status();
+        const headers = message.get_response_headers();
+
+        this._trackRateLimitHeaders(headers, resource);
+        const ssoUrl = this._trackSSOHeader(headers);
 
         // 304 Not Modified for notifications
         if (statusCode === 304) return null;
 
         if (statusCode < 200 || statusCode >= 300) {
             const errorText = new TextDecoder().decode(inputStream);
-            throw new Error(`GitHub API ${statusCode}: ${errorText.slice(0, 200)}`);
+
+            // Secondary rate limits don't always say how long to wait
+            const secondaryLimit = statusCode === 429 ||
+                (statusCode === 403 && /rate limit/i.test(errorText));
+            if (secondaryLimit && !this.resourceRateLimitedUntil(resource))
+                this._blockUntil(Date.now() + DEFAULT_RETRY_SECONDS * 1000);
+
+            if (statusCode === 401)
+                throw new GitHubError('Bad credentials: the token has expired or been revoked', {status: statusCode});
+
+            if (statusCode === 403 && ssoUrl) {
+                throw new GitHubError('SAML SSO authorization required for this token', {
+                    status: statusCode,
+                    ssoUrl,
+                });
+            }
+
+            throw new GitHubError(`GitHub API ${statusCode}: ${errorText.slice(0, 200)}`, {
+                status: statusCode,
+                retryAt: this.resourceRateLimitedUntil(resource),
+            });
         }
 
-        // Track Last-Modified for notification polling
-        if (url.startsWith(NOTIFICATIONS_URL)) {
-            const lastMod = message.get_response_headers().get_one('Last-Modified');
+        // Track Last-Modified and X-Poll-Interval for notification polling
+        if (isNotificationPoll) {
+            const lastMod = headers.get_one('Last-Modified');
             if (lastMod) this._lastNotificationPoll = lastMod;
+
+            const pollInterval = headers.get_one('X-Poll-Interval');
+            if (pollInterval)
+                this._nextNotificationPoll = Date.now() + Number(pollInterval) * 1000;
         }
 
+        // 205 Reset Content and friends have no body
         const text = new TextDecoder().decode(inputStream);
-        return JSON.parse(text);
+        const data = text ? JSON.parse(text) : null;
+        return includeHeaders ? {data, headers} : data;
     }
 
     async _sendAsync(message) {
@@ -182,41 +757,397 @@ export default class GitHubClient {
     }
 
     /**
-     * Fetch all open PRs for the authenticated user.
-     * Returns { categories, allPRs }.
+     * Run a GraphQL query and return its `data` object. Any error throws,
+     * unless `partial` is set: then errors alongside data (inaccessible
+     * nodes, SSO-protected organizations) are recorded as warnings and the
+     * partial data returned. Only reads that can show incomplete results
+     * should set it; a failed mutation also comes back with data.
+     */
+    async _graphql(token, query, variables = {}, {partial = false} = {}) {
+        const data = await this._request(this._urls.graphql, token, {
+            method: 'POST',
+            body: {query, variables},
+            accept: GRAPHQL_ACCEPT,
+        });
+
+        // Stop before the next query would overdraw the budget
+        const rateLimit = data.data?.rateLimit;
+        if (rateLimit) {
+            this.rateLimit = rateLimit;
+            if (rateLimit.remaining < rateLimit.cost)
+                this._blockUntil(Date.parse(rateLimit.resetAt), ['graphql']);
+        }
+
+        if (!data.errors?.length)
+            return data.data;
+
+        const [error] = data.errors;
+        const rateLimited = error.type === 'RATE_LIMITED';
+        if (rateLimited && !this.resourceRateLimitedUntil('graphql'))
+            this._blockUntil(Date.now() + DEFAULT_RETRY_SECONDS * 1000, ['graphql']);
+
+        if (rateLimited || !partial || !data.data) {
+            throw new GitHubError(`GraphQL error: ${error.message}`, {
+                retryAt: rateLimited ? this.resourceRateLimitedUntil('graphql') : null,
+            });
+        }
+
+        for (const {type, message} of data.errors) {
+            if (type === 'FORBIDDEN' && /SAML/.test(message)) {
+                // The X-GitHub-SSO header usually said which organizations already
+                if (!this.warnings.some(w => w.sso)) {
+                    this._addWarning('SAML SSO authorization required for an organization',
+                        {url: this._tokenSettingsUrl, sso: true});
+                }
+            } else {
+                this._addWarning(`Partial results: ${message}`);
+            }
+        }
+
+        return data.data;
+    }
+
+    /**
+     * Follow a connection's cursor until it runs out or MAX_PAGES is hit.
+     * `getConnection` picks the connection out of each response's data;
+     * `first` is an already-fetched first page to continue from. Pages
+     * with partial errors are kept, as warnings.
+     */
+    async _fetchAllPages(token, query, variables, getConnection, first = null) {
+        const nodes = [...(first?.nodes ?? [])];
+        let pageInfo = first?.pageInfo ?? {hasNextPage: true, endCursor: null};
+
+        for (let page = 0; page < MAX_PAGES && pageInfo?.hasNextPage; page++) {
+            const data = await this._graphql(token, query, {...variables, cursor: pageInfo.endCursor},
+                {partial: true});
+            const connection = getConnection(data);
+            nodes.push(...(connection?.nodes ?? []));
+            pageInfo = connection?.pageInfo;
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Fetch the remaining pages of a PR node's reviews, review threads and
+     * check contexts in place, so normalizePR sees complete lists.
+     */
+    async _completePRNode(token, node) {
+        const reviews = node.reviews;
+        if (reviews?.pageInfo?.hasNextPage) {
+            reviews.nodes = await this._fetchAllPages(token, REVIEWS_PAGE_QUERY, {id: node.id},
+                data => data?.node?.reviews, reviews);
+        }
+
+        const threads = node.reviewThreads;
+        if (threads?.pageInfo?.hasNextPage) {
+            threads.nodes = await this._fetchAllPages(token, REVIEW_THREADS_PAGE_QUERY, {id: node.id},
+                data => data?.node?.reviewThreads, threads);
+        }
+
+        const contexts = node.commits?.nodes?.[0]?.commit?.statusCheckRollup?.contexts;
+        if (contexts?.pageInfo?.hasNextPage) {
+            contexts.nodes = await this._fetchAllPages(token, CONTEXTS_PAGE_QUERY, {id: node.id},
+                data => data?.node?.commits?.nodes?.[0]?.commit?.statusCheckRollup?.contexts, contexts);
+        }
+
+        return node;
+    }
+
+    /**
+     * Fetch every page of a PR summary connection, then full details only
+     * for PRs that changed since they were cached. Returns normalized PRs
+     * in connection order. Search results are untyped, so non-PR nodes
+     * (which come back empty) are dropped.
+     */
+    async _fetchPRs(token, query, variables, getConnection) {
+        const summaries = (await this._fetchAllPages(token, query, variables, getConnection))
+            .filter(node => node?.id);
+
+        const fingerprints = new Map(summaries.map(node => [node.id, prFingerprint(node)]));
+        for (const id of fingerprints.keys())
+            this._seenPRIds.add(id);
+
+        const changed = [...fingerprints.keys()]
+            .filter(id => this._prCache.get(id)?.fingerprint !== fingerprints.get(id));
+
+        for (let i = 0; i < changed.length; i += DETAILS_BATCH_SIZE) {
+            const data = await this._graphql(token, PR_DETAILS_QUERY,
+                {ids: changed.slice(i, i + DETAILS_BATCH_SIZE)}, {partial: true});
+            const nodes = await Promise.all(data.nodes
+                .filter(node => node?.repository)
+                .map(node => this._completePRNode(token, node)));
+
+            for (const node of nodes)
+                this._prCache.set(node.id, {fingerprint: fingerprints.get(node.id), pr: normalizePR(node)});
+        }
+
+        return summaries
+            .map(node => this._prCache.get(node.id)?.pr)
+            .filter(Boolean);
+    }
+
+    /**
+     * Run a GitHub search and return the matching PRs, normalized.
+     * The search is limited to open PRs unless it says otherwise.
+     */
+    async searchPullRequests(token, query) {
+        const prs = await this._fetchPRs(token, SEARCH_PRS_QUERY, {search: scopeSearchToPRs(query)},
+            data => data?.search);
+        return prs.filter(pr => this._repoFilter(pr.repo));
+    }
+
+    /**
+     * Fetch all open PRs for the authenticated user, the PRs waiting on
+     * their review, and the results of each saved search ({name, query, ...}).
+     * A failing saved search is reported in its result rather than thrown.
+     * Returns { categories, allPRs, recentlyClosed, savedSearches }, where
+     * each saved search is returned with `prs` and `error` added.
+     *
+     * With `unresolvedCategory`, PRs with unresolved review threads get
+     * their own category instead of being sorted by review state. With
+     * `recentDays`, `recentlyClosed` lists the user's PRs merged or closed
+     * within that many days; otherwise it's empty.
+     *
+     * PRs that haven't changed since the previous call are reused from the
+     * cache, so unchanged PRs are the same objects as last time.
+     * Each call starts a fresh list of `warnings`.
+     */
+    async fetchPullRequests(token, savedSearches = [], {unresolvedCategory = false, recentDays = 0} = {}) {
+        this._seenPRIds = new Set();
+        this._warnings.clear();
+
+        const [authored, reviewRequested, recentlyClosed, ...searchResults] = await Promise.all([
+            this._fetchPRs(token, VIEWER_PRS_QUERY, {},
+                data => data?.viewer?.pullRequests),
+            this.searchPullRequests(token, REVIEW_REQUESTED_SEARCH),
+            recentDays > 0 ? this.fetchRecentlyClosed(token, recentDays) : [],
+            ...savedSearches.map(search => this.searchPullRequests(token, search.query)
+                .then(prs => ({...search, prs, error: null}))
+                .catch(e => ({...search, prs: [], error: e.message}))),
+        ]);
+
+        // Forget PRs that are no longer open or no longer match a search
+        for (const id of this._prCache.keys()) {
+            if (!this._seenPRIds.has(id))
+                this._prCache.delete(id);
+        }
+
+        const allPRs = authored.filter(pr => this._repoFilter(pr.repo));
+        const categories = categorizePRs(allPRs, {unresolvedCategory});
+        categories.reviewRequested = reviewRequested;
+
+        return {categories, allPRs, recentlyClosed, savedSearches: searchResults};
+    }
+
+    /**
+     * Fetch the user's PRs merged or closed in the last `days` days, most
+     * recent first.
      */
-    async fetchPullRequests(token) {
-        const data = await this._request(GRAPHQL_URL, token, {
+    async fetchRecentlyClosed(token, days) {
+        const since = new Date(Date.now() - days * 86400 * 1000).toISOString().slice(0, 10);
+        const nodes = await this._fetchAllPages(token, RECENTLY_CLOSED_QUERY,
+            {search: `is:pr is:closed author:@me archived:false closed:>=${since}`},
+            data => data?.search);
+
+        return nodes
+            .filter(node => node?.id)
+            .map(normalizeClosedPR)
+            .filter(pr => this._repoFilter(pr.repo))
+            .sort((a, b) => Date.parse(b.closedAt) - Date.parse(a.closedAt));
+    }
+
+    /**
+     * Check a token against the API.
+     * Returns { login, scopes, expiresAt, missingScopes }. `scopes` and
+     * `missingScopes` are null for fine-grained tokens, which don't report
+     * scopes; `expiresAt` is null for tokens that don't expire.
+     */
+    async verifyToken(token) {
+        const {data, headers} = await this._request(`${this._urls.rest}/user`, token, {includeHeaders: true});
+
+        const scopeHeader = headers.get_one('X-OAuth-Scopes');
+        const scopes = scopeHeader === null
+            ? null
+            : scopeHeader.split(',').map(s => s.trim()).filter(Boolean);
+
+        return {
+            login: data.login,
+            scopes,
+            expiresAt: headers.get_one('GitHub-Authentication-Token-Expiration'),
+            missingScopes: scopes && REQUIRED_SCOPES.filter(s => !scopes.includes(s)),
+        };
+    }
+
+    /**
+     * Start an OAuth device flow sign-in for an OAuth App.
+     * Returns { deviceCode, userCode, verificationUri, interval, expiresIn }.
+     */
+    async requestDeviceCode(clientId) {
+        const data = await this._request(`${this._urls.web}/login/device/code`, null, {
             method: 'POST',
-            body: {query: PR_QUERY},
+            body: {client_id: clientId, scope: REQUIRED_SCOPES.join(' ')},
         });
 
-        if (data.errors?.length) {
-            throw new Error(`GraphQL error: ${data.errors[0].message}`);
+        if (data.error)
+            throw new GitHubError(`Device sign-in failed: ${data.error_description ?? data.error}`);
+
+        return {
+            deviceCode: data.device_code,
+            userCode: data.user_code,
+            verificationUri: data.verification_uri,
+            interval: data.interval,
+            expiresIn: data.expires_in,
+        };
+    }
+
+    /**
+     * Poll until the user authorizes a device code, then return the access
+     * token. Throws if the code expires or is denied, and returns null if
+     * `cancellable` is cancelled first.
+     */
+    async waitForDeviceToken(clientId, {deviceCode, interval}, cancellable = null) {
+        for (;;) {
+            await sleep(interval, cancellable);
+            if (cancellable?.is_cancelled())
+                return null;
+
+            const data = await this._request(`${this._urls.web}/login/oauth/access_token`, null, {
+                method: 'POST',
+                body: {
+                    client_id: clientId,
+                    device_code: deviceCode,
+                    grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                },
+            });
+
+            if (data.access_token)
+                return data.access_token;
+
+            if (data.error === 'slow_down')
+                interval = data.interval ?? interval + 5;
+            else if (data.error !== 'authorization_pending')
+                throw new GitHubError(`Device sign-in failed: ${data.error_description ?? data.error}`);
         }
+    }
+
+    /**
+     * Merge a PR using its repository's preferred merge method.
+     */
+    async mergePullRequest(token, pr) {
+        await this._graphql(token, MERGE_MUTATION, {id: pr.id, method: pr.mergeMethod});
+    }
+
+    /**
+     * Enable auto-merge on a PR using its repository's preferred merge method.
+     */
+    async enableAutoMerge(token, pr) {
+        await this._graphql(token, AUTO_MERGE_MUTATION, {id: pr.id, method: pr.mergeMethod});
+    }
+
+    /**
+     * Take a draft PR out of draft.
+     */
+    async markReadyForReview(token, pr) {
+        await this._graphql(token, READY_FOR_REVIEW_MUTATION, {id: pr.id});
+    }
 
-        const nodes = data.data?.viewer?.pullRequests?.nodes ?? [];
-        const allPRs = nodes.map(normalizePR);
-        const categories = categorizePRs(allPRs);
+    /**
+     * Re-run every check suite that has a failing check run.
+     */
+    async rerunFailedChecks(token, pr) {
+        const suiteIds = new Set(pr.checks
+            .filter(check => check.status === 'failure' && check.checkSuiteId)
+            .map(check => check.checkSuiteId));
 
-        return {categories, allPRs};
+        for (const checkSuiteId of suiteIds) {
+            await this._graphql(token, RERUN_CHECK_SUITE_MUTATION, {
+                repositoryId: pr.repositoryId,
+                checkSuiteId,
+            });
+        }
+    }
+
+    /**
+     * Explain a PR's failing checks. Returns [{name, url, summary,
+     * annotations: [{path, line, message}]}] with the first few annotations
+     * of each failing check run; commit statuses only have a description.
+     */
+    async fetchFailureDetails(token, pr) {
+        const failing = pr.checks.filter(check => check.status === 'failure');
+        const runIds = failing.filter(check => check.checkRunId).map(check => check.checkRunId);
+
+        const runs = new Map();
+        if (runIds.length > 0) {
+            const data = await this._graphql(token, CHECK_RUN_DETAILS_QUERY, {ids: runIds});
+            for (const node of data.nodes) {
+                if (node)
+                    runs.set(node.id, node);
+            }
+        }
+
+        return failing.map(check => {
+            const run = runs.get(check.checkRunId);
+            return {
+                name: check.name,
+                url: check.url,
+                summary: (run ? run.title || run.summary : check.description)?.trim() || null,
+                annotations: (run?.annotations?.nodes ?? []).map(a => ({
+                    path: a.path,
+                    line: a.location?.start?.line ?? null,
+                    message: a.message,
+                })),
+            };
+        });
+    }
+
+    /**
+     * Request another review from the given reviewers ([{id}]).
+     */
+    async requestReviews(token, pr, reviewers) {
+        await this._graphql(token, REQUEST_REVIEWS_MUTATION, {
+            id: pr.id,
+            userIds: reviewers.map(r => r.id),
+        });
     }
 
     /**
      * Fetch unread notifications, optionally filtered by reason.
-     * Returns the count of matching notifications.
+     * When nothing changed since the last poll, or GitHub's poll interval
+     * hasn't passed, the last threads are filtered again so filter changes
+     * still apply. Returns null only if there has been no poll yet.
      */
     async fetchNotifications(token, filterReasons) {
-        const data = await this._request(NOTIFICATIONS_URL, token);
+        // Honour the X-Poll-Interval GitHub asked for
+        if (Date.now() >= this._nextNotificationPoll) {
+            const data = await this._request(`${this._notificationsUrl}?per_page=50`, token);
 
-        // 304 - no change
-        if (data === null) return -1;
+            // null is a 304 - no change
+            if (data !== null)
+                this._notificationThreads = data;
+        }
 
-        let notifications = data;
+        if (!this._notificationThreads)
+            return null;
+
+        let notifications = this._notificationThreads.filter(n => this._repoFilter(n.repository?.full_name ?? ''));
         if (filterReasons?.length) {
             notifications = notifications.filter(n => filterReasons.includes(n.reason));
         }
 
-        return notifications.length;
+        return notifications.map(n => normalizeNotification(n, this._urls));
+    }
+
+    /**
+     * Mark the given notification threads as read. Threads are marked one
+     * by one so only what the caller passes (what the user saw) is affected,
+     * not every unread notification; requests go out in sequence to stay
+     * clear of secondary rate limits.
+     */
+    async markThreadsRead(token, threadIds) {
+        for (const id of threadIds) {
+            await this._request(`${this._notificationsUrl}/threads/${id}`, token, {method: 'PATCH'});
+            this._notificationThreads = this._notificationThreads?.filter(n => n.id !== id) ?? null;
+        }
     }
 }
@@ -2,15 +2,11 @@ import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import Adw from 'gi://Adw';
 import Gtk from 'gi://Gtk';
-import Secret from 'gi://Secret';
 
 import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
-const SECRET_SCHEMA = new Secret.Schema(
-    'org.gnome.shell.extensions.github-pr-status',
-    Secret.SchemaFlags.NONE,
-    {application: Secret.SchemaAttributeType.STRING},
-);
+import {clearToken, getAccounts, lookupToken, setAccounts, storeToken} from './accounts.js';
+import GitHubClient from './github.js';
 
 const NOTIFICATION_REASONS = [
     {key: 'review_requested', label: 'Review Requested'},
@@ -20,13 +16,49 @@ const NOTIFICATION_REASONS = [
     {key: 'state_change', label: 'State Change'},
 ];
 
-// Promisify libsecret once at module load
-Gio._promisify(Secret, 'password_lookup', 'password_lookup_finish');
-Gio._promisify(Secret, 'password_store', 'password_store_finish');
+const INDICATOR_MODES = [
+    {key: 'notifications', label: 'Unread Notifications'},
+    {key: 'action-needed', label: 'PRs Needing My Action'},
+    {key: 'failing-ci', label: 'PRs With Failing CI'},
+    {key: 'ci-state', label: 'CI State as Icon Color'},
+    {key: 'ci-summary', label: 'CI Summary (\u27143 \u27161 \u23F32)'},
+];
+
+const SORT_ORDERS = [
+    {key: 'updated', label: 'Recently Updated'},
+    {key: 'created', label: 'Recently Created'},
+    {key: 'repository', label: 'Repository'},
+    {key: 'ci', label: 'CI State (Failing First)'},
+];
+
+const GROUP_MODES = [
+    {key: 'status', label: 'Review Status'},
+    {key: 'repository', label: 'Repository'},
+    {key: 'stack', label: 'Review Status, With Stacked PRs Chained'},
+];
+
+const STATE_CHANGES = [
+    {key: 'ci-failed', label: 'CI Failed'},
+    {key: 'ci-passed', label: 'CI Passed'},
+    {key: 'approved', label: 'Approved'},
+    {key: 'changes-requested', label: 'Changes Requested'},
+    {key: 'review-requested', label: 'Review Requested of Me'},
+];
+
+function getSavedSearches(settings) {
+    return settings.get_value('saved-searches').deepUnpack()
+        .map(([name, query, countInBadge]) => ({name, query, countInBadge}));
+}
+
+function setSavedSearches(settings, searches) {
+    settings.set_value('saved-searches', new GLib.Variant('a(ssb)',
+        searches.map(({name, query, countInBadge}) => [name, query, countInBadge])));
+}
 
 export default class GitHubPRStatusPreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         const settings = this.getSettings();
+        this._window = window;
 
         // -- Authentication page --
         const authPage = new Adw.PreferencesPage({
@@ -35,32 +67,33 @@ export default class GitHubPRStatusPreferences extends ExtensionPreferences {
         });
         window.add(authPage);
 
-        const tokenGroup = new Adw.PreferencesGroup({
-            title: 'GitHub Token',
-            description: 'A personal access token with "repo" and "notifications" scopes. Stored securely in GNOME Keyring.',
-        });
-        authPage.add(tokenGroup);
-
-        const tokenRow = new Adw.PasswordEntryRow({
-            title: 'Personal Access Token',
+        const accountsGroup = new Adw.PreferencesGroup({
+            title: 'Accounts',
+            description: 'Each account needs a personal access token with "repo" and "notifications" scopes. Tokens are stored securely in GNOME Keyring.',
         });
-        tokenGroup.add(tokenRow);
+        authPage.add(accountsGroup);
 
-        const saveButton = new Gtk.Button({
-            label: 'Save Token',
-            css_classes: ['suggested-action'],
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: 'Add Account',
+            css_classes: ['flat'],
             valign: Gtk.Align.CENTER,
         });
-        tokenRow.add_suffix(saveButton);
+        accountsGroup.set_header_suffix(addButton);
 
-        // Load existing token
-        this._loadToken(tokenRow);
+        this._accountRows = [];
+        this._fillAccountRows(accountsGroup, settings);
 
-        saveButton.connect('clicked', () => {
-            const token = tokenRow.get_text();
-            if (token) {
-                this._saveToken(token, saveButton);
-            }
+        addButton.connect('clicked', () => {
+            const accounts = getAccounts(settings);
+            accounts.push({
+                id: GLib.uuid_string_random(),
+                name: `Account ${accounts.length + 1}`,
+                host: 'github.com',
+                clientId: '',
+            });
+            setAccounts(settings, accounts);
+            this._fillAccountRows(accountsGroup, settings);
         });
 
         // -- General page --
@@ -96,6 +129,139 @@ export default class GitHubPRStatusPreferences extends ExtensionPreferences {
             intervalRow.set_value(settings.get_int('refresh-interval') / 60);
         });
 
+        // Menu layout
+        const menuGroup = new Adw.PreferencesGroup({
+            title: 'Menu',
+        });
+        generalPage.add(menuGroup);
+
+        const sortRow = new Adw.ComboRow({
+            title: 'Sort PRs By',
+            model: Gtk.StringList.new(SORT_ORDERS.map(o => o.label)),
+            selected: Math.max(0, SORT_ORDERS.findIndex(o => o.key === settings.get_string('sort-order'))),
+        });
+        menuGroup.add(sortRow);
+
+        sortRow.connect('notify::selected', () => {
+            settings.set_string('sort-order', SORT_ORDERS[sortRow.get_selected()].key);
+        });
+
+        const groupRow = new Adw.ComboRow({
+            title: 'Group PRs By',
+            model: Gtk.StringList.new(GROUP_MODES.map(m => m.label)),
+            selected: Math.max(0, GROUP_MODES.findIndex(m => m.key === settings.get_string('group-by'))),
+        });
+        menuGroup.add(groupRow);
+
+        groupRow.connect('notify::selected', () => {
+            settings.set_string('group-by', GROUP_MODES[groupRow.get_selected()].key);
+        });
+
+        const staleRow = new Adw.SpinRow({
+            title: 'Flag Stale PRs After',
+            subtitle: 'Days without updates (0 to disable)',
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 365,
+                step_increment: 1,
+            }),
+        });
+        menuGroup.add(staleRow);
+        settings.bind('stale-days', staleRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        const unresolvedRow = new Adw.SwitchRow({
+            title: 'Group PRs With Unresolved Comments',
+            subtitle: 'Show PRs with open review conversations in their own section',
+        });
+        menuGroup.add(unresolvedRow);
+        settings.bind('unresolved-category', unresolvedRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        const recentRow = new Adw.SpinRow({
+            title: 'Show Recently Merged/Closed PRs',
+            subtitle: 'Days to look back (0 to hide)',
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 30,
+                step_increment: 1,
+            }),
+        });
+        menuGroup.add(recentRow);
+        settings.bind('recent-days', recentRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        // Repository filters
+        const repoGroup = new Adw.PreferencesGroup({
+            title: 'Repositories',
+            description: 'Comma-separated owner/repo patterns for PRs and notifications. "*" matches any part of a name; a bare owner matches the whole organization.',
+        });
+        generalPage.add(repoGroup);
+
+        for (const {key, title} of [
+            {key: 'repository-include', title: 'Only Show (e.g. my-org, me/dotfiles)'},
+            {key: 'repository-exclude', title: 'Hide (e.g. my-org/legacy-*)'},
+        ]) {
+            const row = new Adw.EntryRow({
+                title,
+                text: settings.get_strv(key).join(', '),
+                show_apply_button: true,
+            });
+            repoGroup.add(row);
+
+            row.connect('apply', () => {
+                const patterns = row.get_text().split(',')
+                    .map(p => p.trim())
+                    .filter(Boolean);
+                settings.set_strv(key, patterns);
+            });
+        }
+
+        // Global shortcut
+        const shortcutGroup = new Adw.PreferencesGroup({
+            title: 'Keyboard Shortcut',
+            description: 'Opens the menu with focus in the search box. Use GTK accelerator syntax, e.g. <Super><Shift>g; leave empty to disable.',
+        });
+        generalPage.add(shortcutGroup);
+
+        const shortcutRow = new Adw.EntryRow({
+            title: 'Open Menu',
+            text: settings.get_strv('toggle-menu')[0] ?? '',
+            show_apply_button: true,
+        });
+        shortcutGroup.add(shortcutRow);
+
+        shortcutRow.connect('apply', () => {
+            const accelerator = shortcutRow.get_text().trim();
+            if (!accelerator) {
+                settings.set_strv('toggle-menu', []);
+                return;
+            }
+
+            const [valid, key] = Gtk.accelerator_parse(accelerator);
+            if (!valid || !key) {
+                window.add_toast(new Adw.Toast({title: `"${accelerator}" is not a valid shortcut`}));
+                shortcutRow.set_text(settings.get_strv('toggle-menu')[0] ?? '');
+                return;
+            }
+
+            settings.set_strv('toggle-menu', [accelerator]);
+        });
+
+        // Panel indicator
+        const indicatorGroup = new Adw.PreferencesGroup({
+            title: 'Panel Indicator',
+        });
+        generalPage.add(indicatorGroup);
+
+        const modeRow = new Adw.ComboRow({
+            title: 'Show',
+            model: Gtk.StringList.new(INDICATOR_MODES.map(m => m.label)),
+            selected: Math.max(0, INDICATOR_MODES.findIndex(m => m.key === settings.get_string('indicator-mode'))),
+        });
+        indicatorGroup.add(modeRow);
+
+        modeRow.connect('notify::selected', () => {
+            settings.set_string('indicator-mode', INDICATOR_MODES[modeRow.get_selected()].key);
+        });
+
         // Notification filters
         const filterGroup = new Adw.PreferencesGroup({
             title: 'Notification Badge',
@@ -121,15 +287,316 @@ export default class GitHubPRStatusPreferences extends ExtensionPreferences {
                 settings.set_strv('notification-filters', [...current]);
             });
         }
+
+        const reviewBadgeRow = new Adw.SwitchRow({
+            title: 'Review Requests',
+            subtitle: 'Also count open PRs awaiting your review',
+        });
+        filterGroup.add(reviewBadgeRow);
+        settings.bind('badge-review-requests', reviewBadgeRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        // Desktop notifications
+        const stateGroup = new Adw.PreferencesGroup({
+            title: 'Desktop Notifications',
+            description: 'Show a notification when a PR changes state between refreshes.',
+        });
+        generalPage.add(stateGroup);
+
+        const activeStateChanges = settings.get_strv('state-change-notifications');
+
+        for (const {key, label} of STATE_CHANGES) {
+            const row = new Adw.SwitchRow({
+                title: label,
+                active: activeStateChanges.includes(key),
+            });
+            stateGroup.add(row);
+
+            row.connect('notify::active', () => {
+                const current = new Set(settings.get_strv('state-change-notifications'));
+                if (row.get_active())
+                    current.add(key);
+                else
+                    current.delete(key);
+                settings.set_strv('state-change-notifications', [...current]);
+            });
+        }
+
+        // -- Searches page --
+        const searchesPage = new Adw.PreferencesPage({
+            title: 'Searches',
+            icon_name: 'system-search-symbolic',
+        });
+        window.add(searchesPage);
+
+        const searchesGroup = new Adw.PreferencesGroup({
+            title: 'Saved Searches',
+            description: 'GitHub search queries shown as their own menu sections, e.g. "team-review-requested:org/platform" or "label:release-blocker". "is:pr is:open" is implied unless the query gives a type or state.',
+        });
+        searchesPage.add(searchesGroup);
+
+        const addSearchButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            tooltip_text: 'Add Search',
+            css_classes: ['flat'],
+            valign: Gtk.Align.CENTER,
+        });
+        searchesGroup.set_header_suffix(addSearchButton);
+
+        this._searchRows = [];
+        this._fillSearchRows(searchesGroup, settings);
+
+        addSearchButton.connect('clicked', () => {
+            const searches = getSavedSearches(settings);
+            searches.push({name: `Search ${searches.length + 1}`, query: '', countInBadge: false});
+            setSavedSearches(settings, searches);
+            this._fillSearchRows(searchesGroup, settings);
+            this._searchRows.at(-1).set_expanded(true);
+        });
     }
 
-    async _loadToken(tokenRow) {
+    _fillSearchRows(group, settings) {
+        for (const row of this._searchRows)
+            group.remove(row);
+
+        this._searchRows = getSavedSearches(settings).map((search, index) => {
+            const row = this._createSearchRow(group, settings, search, index);
+            group.add(row);
+            return row;
+        });
+    }
+
+    _createSearchRow(group, settings, search, index) {
+        const update = changes => {
+            setSavedSearches(settings, getSavedSearches(settings).map(
+                (s, i) => i === index ? {...s, ...changes} : s
+            ));
+        };
+
+        const row = new Adw.ExpanderRow({
+            title: search.name,
+            subtitle: search.query,
+            use_markup: false,
+        });
+
+        const nameRow = new Adw.EntryRow({
+            title: 'Name',
+            text: search.name,
+            show_apply_button: true,
+        });
+        row.add_row(nameRow);
+
+        nameRow.connect('apply', () => {
+            const name = nameRow.get_text().trim();
+            if (!name) {
+                nameRow.set_text(row.get_title());
+                return;
+            }
+            row.set_title(name);
+            update({name});
+        });
+
+        const queryRow = new Adw.EntryRow({
+            title: 'Query',
+            text: search.query,
+            show_apply_button: true,
+        });
+        row.add_row(queryRow);
+
+        queryRow.connect('apply', () => {
+            const query = queryRow.get_text().trim();
+            row.set_subtitle(query);
+            update({query});
+        });
+
+        const badgeRow = new Adw.SwitchRow({
+            title: 'Count in Badge',
+            subtitle: 'Add this search\'s results to the notification badge',
+            active: search.countInBadge,
+        });
+        row.add_row(badgeRow);
+
+        badgeRow.connect('notify::active', () => {
+            update({countInBadge: badgeRow.get_active()});
+        });
+
+        const removeRow = new Adw.ActionRow({
+            title: 'Remove Search',
+        });
+        row.add_row(removeRow);
+
+        const removeButton = new Gtk.Button({
+            label: 'Remove',
+            css_classes: ['destructive-action'],
+            valign: Gtk.Align.CENTER,
+        });
+        removeRow.add_suffix(removeButton);
+
+        removeButton.connect('clicked', () => {
+            setSavedSearches(settings, getSavedSearches(settings).filter((_s, i) => i !== index));
+            this._fillSearchRows(group, settings);
+        });
+
+        return row;
+    }
+
+    _fillAccountRows(group, settings) {
+        for (const row of this._accountRows)
+            group.remove(row);
+
+        const accounts = getAccounts(settings);
+        this._accountRows = accounts.map(account => {
+            const row = this._createAccountRow(group, settings, account, accounts.length > 1);
+            group.add(row);
+            return row;
+        });
+    }
+
+    _createAccountRow(group, settings, account, removable) {
+        const row = new Adw.ExpanderRow({
+            title: account.name,
+            subtitle: account.host,
+            use_markup: false,
+        });
+
+        const nameRow = new Adw.EntryRow({
+            title: 'Name',
+            text: account.name,
+            show_apply_button: true,
+        });
+        row.add_row(nameRow);
+
+        nameRow.connect('apply', () => {
+            const name = nameRow.get_text().trim();
+            if (!name) {
+                nameRow.set_text(row.get_title());
+                return;
+            }
+            row.set_title(name);
+            this._updateAccount(settings, account.id, {name});
+        });
+
+        const hostRow = new Adw.EntryRow({
+            title: 'GitHub Host (github.com or your Enterprise Server hostname)',
+            text: account.host,
+            show_apply_button: true,
+        });
+        row.add_row(hostRow);
+
+        hostRow.connect('apply', () => {
+            const host = hostRow.get_text().trim() || 'github.com';
+            hostRow.set_text(host);
+            row.set_subtitle(host);
+            this._updateAccount(settings, account.id, {host});
+        });
+
+        const tokenRow = new Adw.PasswordEntryRow({
+            title: 'Personal Access Token',
+        });
+        row.add_row(tokenRow);
+
+        const saveButton = new Gtk.Button({
+            label: 'Save Token',
+            css_classes: ['suggested-action'],
+            valign: Gtk.Align.CENTER,
+        });
+        tokenRow.add_suffix(saveButton);
+
+        // Load existing token
+        this._loadToken(account.id, tokenRow);
+
+        saveButton.connect('clicked', () => {
+            const token = tokenRow.get_text();
+            if (token)
+                this._saveToken(this._currentAccount(settings, account), token, saveButton);
+        });
+
+        // Device flow needs an OAuth App registered on this account's host
+        const clientIdRow = new Adw.EntryRow({
+            title: 'OAuth App Client ID (for Sign in with GitHub)',
+            text: account.clientId,
+            show_apply_button: true,
+        });
+        row.add_row(clientIdRow);
+
+        clientIdRow.connect('apply', () => {
+            this._updateAccount(settings, account.id, {clientId: clientIdRow.get_text().trim()});
+        });
+
+        const signInRow = new Adw.ActionRow({
+            title: 'Sign in with GitHub',
+            subtitle: 'Authorize in the browser using a one-time code. Needs the client ID of an OAuth App with device flow enabled.',
+        });
+        row.add_row(signInRow);
+
+        const signInButton = new Gtk.Button({
+            label: 'Sign In',
+            valign: Gtk.Align.CENTER,
+        });
+        signInRow.add_suffix(signInButton);
+
+        const statusRow = new Adw.ActionRow({
+            title: 'Token Status',
+            subtitle: 'Not verified',
+            use_markup: false,
+        });
+        row.add_row(statusRow);
+
+        const verifyButton = new Gtk.Button({
+            label: 'Verify',
+            valign: Gtk.Align.CENTER,
+        });
+        statusRow.add_suffix(verifyButton);
+
+        signInButton.connect('clicked', async () => {
+            const token = await this._signIn(this._currentAccount(settings, account));
+            if (token) {
+                tokenRow.set_text(token);
+                this._verifyToken(this._currentAccount(settings, account), token, statusRow);
+            }
+        });
+
+        verifyButton.connect('clicked', () => {
+            this._verifyToken(this._currentAccount(settings, account), tokenRow.get_text(), statusRow);
+        });
+
+        if (removable) {
+            const removeRow = new Adw.ActionRow({
+                title: 'Remove Account',
+                subtitle: 'Also deletes its token from the keyring',
+            });
+            row.add_row(removeRow);
+
+            const removeButton = new Gtk.Button({
+                label: 'Remove',
+                css_classes: ['destructive-action'],
+                valign: Gtk.Align.CENTER,
+            });
+            removeRow.add_suffix(removeButton);
+
+            removeButton.connect('clicked', () => {
+                setAccounts(settings, getAccounts(settings).filter(a => a.id !== account.id));
+                this._fillAccountRows(group, settings);
+                this._clearToken(account.id);
+            });
+        }
+
+        return row;
+    }
+
+    // Rows capture the account they were built for; its fields may have changed since
+    _currentAccount(settings, account) {
+        return getAccounts(settings).find(a => a.id === account.id) ?? account;
+    }
+
+    _updateAccount(settings, id, changes) {
+        setAccounts(settings, getAccounts(settings).map(
+            account => account.id === id ? {...account, ...changes} : account
+        ));
+    }
+
+    async _loadToken(accountId, tokenRow) {
         try {
-            const token = await Secret.password_lookup(
-                SECRET_SCHEMA,
-                {application: 'github-pr-status'},
-                null,
-            );
+            const token = await lookupToken(accountId);
             if (token)
                 tokenRow.set_text(token);
         } catch (e) {
@@ -137,16 +604,9 @@ export default class GitHubPRStatusPreferences extends ExtensionPreferences {
         }
     }
 
-    async _saveToken(token, button) {
+    async _saveToken(account, token, button) {
         try {
-            await Secret.password_store(
-                SECRET_SCHEMA,
-                {application: 'github-pr-status'},
-                Secret.COLLECTION_DEFAULT,
-                'GitHub PR Status Token',
-                token,
-                null,
-            );
+            await storeToken(account, token);
             button.set_label('Saved!');
             GLib.timeout_add(GLib.PRIORITY_DEFAULT, 2000, () => {
                 button.set_label('Save Token');
@@ -157,4 +617,91 @@ export default class GitHubPRStatusPreferences extends ExtensionPreferences {
             button.set_label('Error!');
         }
     }
+
+    async _verifyToken(account, token, statusRow) {
+        if (!token) {
+            statusRow.set_subtitle('No token entered');
+            return;
+        }
+
+        statusRow.set_subtitle('Checking\u2026');
+
+        const client = new GitHubClient(account.host);
+        try {
+            const {login, scopes, expiresAt, missingScopes} = await client.verifyToken(token);
+
+            const lines = [`Signed in as ${login}`];
+            lines.push(scopes === null
+                ? 'Fine-grained token (scopes are not reported)'
+                : `Scopes: ${scopes.join(', ') || 'none'}`);
+            lines.push(expiresAt ? `Expires ${expiresAt}` : 'Does not expire');
+            if (missingScopes?.length)
+                lines.push(`\u26A0 Missing scopes: ${missingScopes.join(', ')}`);
+
+            statusRow.set_subtitle(lines.join('\n'));
+        } catch (e) {
+            console.error(`[GitHub PR Status] Failed to verify token: ${e.message}`);
+            statusRow.set_subtitle(`\u26A0 ${e.message.slice(0, 200)}`);
+        } finally {
+            client.destroy();
+        }
+    }
+
+    /**
+     * Run the OAuth device flow for an account: show the one-time code,
+     * open the verification page and wait for the user to authorize.
+     * Stores and returns the new token, or null if cancelled or failed.
+     */
+    async _signIn(account) {
+        const {clientId} = account;
+        if (!clientId) {
+            this._window.add_toast(new Adw.Toast({title: `Enter an OAuth App client ID for ${account.name} first`}));
+            return null;
+        }
+
+        const client = new GitHubClient(account.host);
+        const cancellable = new Gio.Cancellable();
+        let dialog = null;
+
+        try {
+            const deviceCode = await client.requestDeviceCode(clientId);
+
+            dialog = new Adw.MessageDialog({
+                heading: 'Sign in with GitHub',
+                body: `Enter this code at ${deviceCode.verificationUri}:\n\n${deviceCode.userCode}\n\nThe code has been copied to the clipboard.`,
+                transient_for: this._window,
+                modal: true,
+            });
+            dialog.add_response('cancel', 'Cancel');
+            dialog.connect('response', () => cancellable.cancel());
+            dialog.present();
+
+            this._window.get_clipboard().set_text(deviceCode.userCode);
+            Gio.AppInfo.launch_default_for_uri(deviceCode.verificationUri, null);
+
+            const token = await client.waitForDeviceToken(clientId, deviceCode, cancellable);
+            if (!token)
+                return null;
+
+            await storeToken(account, token);
+            this._window.add_toast(new Adw.Toast({title: `Signed in to ${account.name}`}));
+            return token;
+        } catch (e) {
+            console.error(`[GitHub PR Status] Sign-in failed: ${e.message}`);
+            this._window.add_toast(new Adw.Toast({title: e.message.slice(0, 120)}));
+            return null;
+        } finally {
+            if (!cancellable.is_cancelled())
+                dialog?.close();
+            client.destroy();
+        }
+    }
+
+    async _clearToken(accountId) {
+        try {
+            await clearToken(accountId);
+        } catch (e) {
+            console.error(`[GitHub PR Status] Failed to remove token: ${e.message}`);
+        }
+    }
 }